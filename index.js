@@ -3,282 +3,367 @@
 // Date: August 13, 2025
 
 const express = require('express');
-const axios = require('axios');
 const cors = require('cors');
+const { log } = require('./lib/log');
+const { getConfig, redactConfig } = require('./lib/config');
+const { generateEmbedding, getEmbeddingProvider, getEmbeddingCacheStats } = require('./lib/embeddings');
+const { queryVectors, listCollections, resolveCollectionNames, isPineconeValidationError } = require('./lib/pinecone');
+const {
+    transformNotionToKnowledgeEntries,
+    getNotionDatabase,
+    searchNotion,
+    listRecentNotion,
+    checkNotionSchemas,
+    getNotionSchemaReport
+} = require('./lib/notion');
+const { parseOffsetPage, offsetPage, parseNotionPage, notionPage, parseKeysetPage, keysetPage } = require('./lib/pagination');
+const { buildPineconeFilter, mapMatchToResult, searchPinecone } = require('./lib/search');
+const { hybridSearch, notionKeywordSearch } = require('./lib/hybrid');
+const { listRecentEntries, recentCutoff, getRecentIndexStatus } = require('./lib/recent');
+const { getUpstreamStatus } = require('./lib/resilience');
+const { respondCached, getResponseCacheStats } = require('./lib/responseCache');
+const {
+    PINECONE_FACET_CANDIDATES,
+    matchFacetValues,
+    notionEntryFacetValues,
+    computeFacets,
+    notionFacetCandidates,
+    pineconeKnownValues,
+    notionKnownValues,
+    mergeKnownValues
+} = require('./lib/facets');
+const { ingestDocument } = require('./lib/ingest');
+const { chat, chatStream, getChatBackend } = require('./lib/chat');
+const { openEventStream } = require('./lib/sse');
+const { requireAuth, getAuthStatus } = require('./lib/auth');
+const { rateLimit, sendQuotaExceeded, getUsageReport } = require('./lib/rateLimit');
+const { recordActivity, getAnalyticsReport, getAnalyticsStatus } = require('./lib/analytics');
+const { counter, gauge, renderMetrics, httpMetrics } = require('./lib/metrics');
+const { traceRequests, getTracingStatus } = require('./lib/tracing');
+const { legacySearchV1 } = require('./lib/compat');
+const { validate, describeApi } = require('./lib/validation');
+const { publicBaseUrl, listEndpoints, summarizeApiEndpoints, openApiDocument, typingMindManifest } = require('./lib/openapi');
+const { beginLogin, completeLogin, logout } = require('./lib/oidc');
+const { syncNotion, startNotionSyncTimer, getNotionSyncStatus } = require('./lib/notionSync');
+
+// Fail fast on missing or invalid settings instead of on the first request that needs them
+let config;
+try {
+    config = getConfig();
+} catch (error) {
+    log('error', 'Invalid configuration', { problems: error.problems || [error.message] });
+    process.exit(1);
+}
 
 const app = express();
-const PORT = process.env.PORT || 3010;
+const PORT = config.server.port;
+const VERSION = '1.1.2-commonjs-fix';
 
 // Middleware
-app.use(cors({
-    origin: true,
-    credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'x-user-email']
+// Request id, trace context and metrics wrap everything that follows
+app.use(traceRequests);
+app.use(httpMetrics);
+// Any origin may call with an API key or bearer token (the TypingMind plugin runs in the
+// browser). Once the session cookie exists, only CORS_ORIGINS get credentialed responses,
+// so no other site can make requests as the signed-in user.
+app.use(cors((req, callback) => {
+    const sessionsEnabled = !!config.auth.session.secret;
+
+    callback(null, {
+        origin: true,
+        credentials: !sessionsEnabled || config.server.corsOrigins.includes(req.get('Origin')),
+        methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+        allowedHeaders: ['Content-Type', 'Authorization', 'x-api-key', 'x-user-email', 'If-None-Match', 'X-Request-Id', 'traceparent'],
+        exposedHeaders: ['ETag', 'X-Cache', 'Retry-After', 'X-Request-Id', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy']
+    });
 }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Logging utility
-function log(level, message, data = null) {
-    const timestamp = new Date().toISOString();
-    const logEntry = {
-        timestamp,
-        level: level.toUpperCase(),
-        message,
-        ...(data && { data })
+// Rate limits and daily quotas per route group (lib/rateLimit.js)
+const limitSearch = rateLimit('search');
+const limitEmbeddingSearch = rateLimit('search', { quotas: ['embedding_tokens'] });
+const limitIngest = rateLimit('ingest', { quotas: ['embedding_tokens'] });
+const limitChat = rateLimit('chat', { quotas: ['chat_messages', 'embedding_tokens'] });
+
+// Audit and analytics events (lib/analytics.js): who asked what and what came back
+function describeSearch(req, body) {
+    const { query, filters, collections, database } = req.body;
+
+    return {
+        query,
+        filters,
+        collections,
+        database,
+        results: body?.results?.length,
+        degraded: body?.degraded?.fallback
     };
-    console.log(JSON.stringify(logEntry));
 }
 
-// Helper functions
-function formatDate(dateString) {
-    if (!dateString) return "Unknown date";
-    
-    try {
-        const date = new Date(dateString);
-        const now = new Date();
-        const diffMs = now - date;
-        const diffHours = Math.floor(diffMs / (1000 * 60 * 60));
-        const diffDays = Math.floor(diffHours / 24);
-        
-        if (diffHours < 1) return "Just now";
-        if (diffHours < 24) return `${diffHours} hours ago`;
-        if (diffDays < 7) return `${diffDays} days ago`;
-        if (diffDays < 30) return `${Math.floor(diffDays / 7)} weeks ago`;
-        
-        return date.toLocaleDateString();
-    } catch (e) {
-        return dateString;
-    }
+function describeLegacySearch(req, body) {
+    return { query: req.body.query, results: body?.total };
 }
 
-function deriveImportance(metadata) {
-    if (!metadata) return "low";
-    
-    // Logic to determine importance based on metadata
-    if (metadata.decisions_made?.length > 0) return "high";
-    if (metadata.action_items?.length > 0) return "medium";
-    if (metadata.roadblocks_issues?.length > 0) return "high";
-    if (metadata.source_type === "Critical Document") return "critical";
-    return "low";
+// The streaming handler reports its backend and citations through res.locals.analytics
+function describeChat(req, body) {
+    const { message, filters, collections } = req.method === 'GET' ? req.query : req.body;
+
+    return {
+        query: message,
+        filters,
+        collections,
+        ...(body && { backend: body.backend }),
+        ...(body?.citations && {
+            results: body.citations.length,
+            citations: body.citations.map(({ id, title }) => ({ id, title }))
+        })
+    };
 }
 
-// Email domain validation middleware
-const validateEmailDomain = (req, res, next) => {
-    const email = req.headers['x-user-email'];
-    const allowedDomain = process.env.ALLOWED_EMAIL_DOMAIN || '@flintbuilders.com';
-    
-    if (!email || !email.endsWith(allowedDomain)) {
-        return res.status(401).json({ 
-            error: 'Unauthorized domain',
-            message: `Please use an email ending with ${allowedDomain}`
-        });
-    }
-    
-    req.userEmail = email;
-    next();
-};
+function describeIngest(req, body) {
+    return body ? { document_id: body.document_id, title: body.title, chunks: body.chunks } : {};
+}
 
-// OpenAI embedding generation
-async function generateEmbedding(text) {
-    try {
-        if (!process.env.OPENAI_API_KEY) {
-            throw new Error('OPENAI_API_KEY environment variable not set');
-        }
+const recordSearch = recordActivity('search', describeSearch);
+const recordChat = recordActivity('chat', describeChat);
+const recordIngest = recordActivity('ingest', describeIngest);
 
-        const response = await axios.post('https://api.openai.com/v1/embeddings', {
-            model: 'text-embedding-3-small',
-            input: text.substring(0, 8000)  // Limit input length
-        }, {
-            headers: {
-                'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-                'Content-Type': 'application/json'
-            },
-            timeout: 30000
-        });
-        
-        return response.data.data[0].embedding;
+// Embedding provider summary for /api/admin/health; a misconfigured provider is reported, not thrown
+function embeddingHealth() {
+    try {
+        const { name, model, dimension, maxTokens } = getEmbeddingProvider();
+        return { provider: name, model, dimension, max_tokens: maxTokens };
     } catch (error) {
-        log('error', 'Embedding generation failed', { 
-            error: error.message,
-            text_length: text?.length 
-        });
-        throw new Error('Failed to generate embedding for search');
+        return { provider: config.embedding.provider, error: error.message };
     }
 }
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-    const healthData = {
+// Health check endpoint. It needs no credentials, so it reports status and feature
+// flags only; settings and subsystem details are at /api/admin/health.
+app.get('/health', validate('GET /health'), (req, res) => {
+    res.json({
+        status: 'OK',
+        timestamp: new Date().toISOString(),
+        version: VERSION,
+        features: {
+            chat_backend: getChatBackend(),
+            notion: Object.keys(config.notion.databases).length > 0,
+            notion_sync: config.notion.sync.intervalMinutes > 0,
+            rerank: config.rerank.enabled,
+            embedding_cache: config.embedding.cache.size > 0,
+            response_cache: config.responseCache.enabled,
+            rate_limits: config.rateLimit.enabled,
+            analytics: config.analytics.enabled,
+            metrics: config.telemetry.metricsEnabled,
+            tracing: !!config.telemetry.tracesEndpoint,
+            auth: getAuthStatus()
+        }
+    });
+});
+
+// Redacted settings and the state of every subsystem
+app.get('/api/admin/health', requireAuth('admin'), validate('GET /api/admin/health'), rateLimit('admin'), (req, res) => {
+    res.json({
         status: 'OK',
         timestamp: new Date().toISOString(),
-        environment: process.env.NODE_ENV || 'development',
+        environment: config.server.nodeEnv,
         port: PORT,
         platform: process.platform,
         nodeVersion: process.version,
-        pineconeConfig: {
-            transcripts: {
-                apiKey: {
-                    isSet: !!process.env.PINECONE_API_KEY,
-                    length: process.env.PINECONE_API_KEY?.length || 0,
-                    preview: process.env.PINECONE_API_KEY?.substring(0, 7) + '...' || 'not set'
-                },
-                indexHost: {
-                    isSet: !!process.env.PINECONE_INDEX_HOST,
-                    value: process.env.PINECONE_INDEX_HOST || 'not set'
-                }
-            },
-            flintOs: {
-                apiKey: {
-                    isSet: !!process.env.FLINT_OS_PINECONE_API_KEY,
-                    length: process.env.FLINT_OS_PINECONE_API_KEY?.length || 0,
-                    preview: process.env.FLINT_OS_PINECONE_API_KEY?.substring(0, 7) + '...' || 'not set'
-                },
-                indexHost: {
-                    isSet: !!process.env.FLINT_OS_PINECONE_INDEX_HOST,
-                    value: process.env.FLINT_OS_PINECONE_INDEX_HOST || 'not set'
-                },
-                usingFallback: !process.env.FLINT_OS_PINECONE_API_KEY && !!process.env.PINECONE_API_KEY
-            }
-        },
-        newEndpoints: {
-            '/api/recent': 'GET - Recent knowledge entries',
-            '/api/search': 'POST - Search with filters',
-            '/api/chat': 'POST - Chat webhook proxy'
-        },
+        // Secrets only ever appear as "[redacted]" or null
+        settings: redactConfig(config),
+        newEndpoints: summarizeApiEndpoints(),
         configuration: {
-            chat_webhook_configured: !!process.env.MAKE_CHAT_WEBHOOK_URL,
-            openai_configured: !!process.env.OPENAI_API_KEY,
-            allowed_email_domain: process.env.ALLOWED_EMAIL_DOMAIN || '@flintbuilders.com'
+            chat_backend: getChatBackend(),
+            chat_webhook_configured: !!config.chat.makeWebhookUrl,
+            openai_configured: !!config.openai.apiKey,
+            embedding: embeddingHealth(),
+            collections: listCollections(),
+            allowed_email_domain: config.auth.allowedEmailDomain,
+            auth: getAuthStatus()
         },
-        version: '1.1.2-commonjs-fix'
-    };
-    
-    res.json(healthData);
+        embeddingCache: getEmbeddingCacheStats(),
+        notionSync: getNotionSyncStatus(),
+        notionSchema: getNotionSchemaReport(),
+        upstreams: getUpstreamStatus(),
+        responseCache: getResponseCacheStats(),
+        recentIndex: getRecentIndexStatus(),
+        analytics: getAnalyticsStatus(),
+        tracing: getTracingStatus(),
+        version: VERSION
+    });
+});
+
+// Cache effectiveness, read from the caches' own stats on each scrape
+counter('cache_requests_total', 'Cache lookups by cache and result', ['cache', 'result'], () => {
+    const embedding = getEmbeddingCacheStats();
+    const response = getResponseCacheStats();
+    return [
+        ...(embedding.enabled === false ? [] : [
+            { labels: { cache: 'embedding', result: 'hit' }, value: embedding.hits },
+            { labels: { cache: 'embedding', result: 'disk_hit' }, value: embedding.disk_hits },
+            { labels: { cache: 'embedding', result: 'miss' }, value: embedding.misses }
+        ]),
+        { labels: { cache: 'response', result: 'hit' }, value: response.hits },
+        { labels: { cache: 'response', result: 'stale' }, value: response.stale_hits },
+        { labels: { cache: 'response', result: 'miss' }, value: response.misses }
+    ];
 });
+gauge('cache_hit_ratio', 'Share of cache lookups answered from the cache since start', () => {
+    const embedding = getEmbeddingCacheStats();
+    const response = getResponseCacheStats();
+    const lookups = response.hits + response.stale_hits + response.misses;
+    return [
+        ...(embedding.hit_ratio === null || embedding.hit_ratio === undefined ? [] : [{ labels: { cache: 'embedding' }, value: embedding.hit_ratio }]),
+        ...(lookups ? [{ labels: { cache: 'response' }, value: (response.hits + response.stale_hits) / lookups }] : [])
+    ];
+});
+gauge('cache_entries', 'Entries held in memory per cache', () => [
+    { labels: { cache: 'embedding' }, value: getEmbeddingCacheStats().size || 0 },
+    { labels: { cache: 'response' }, value: getResponseCacheStats().entries }
+]);
+
+// Prometheus scrape endpoint, never public: scrapers send METRICS_TOKEN, and without one
+// configured it takes admin credentials like the other operational routes
+const requireAdmin = requireAuth('admin');
+
+function requireMetricsAccess(req, res, next) {
+    const { metricsEnabled, metricsToken } = config.telemetry;
 
-// Function to transform Notion API response to frontend format
-function transformNotionToKnowledgeEntries(notionResponse) {
-    if (!notionResponse.results || !Array.isArray(notionResponse.results)) {
-        return { entries: [] };
+    if (!metricsEnabled) {
+        return res.status(404).json({ error: 'Not found', message: 'Metrics are disabled (METRICS_ENABLED=false)' });
     }
 
-    const entries = notionResponse.results.map(page => {
-        const props = page.properties;
-        
-        // Extract text content from rich_text fields
-        const extractRichText = (richTextArray) => {
-            if (!richTextArray || !Array.isArray(richTextArray)) return "";
-            return richTextArray.map(item => item.plain_text || "").join("").trim();
-        };
+    if (!metricsToken) return requireAdmin(req, res, next);
 
-        // Extract title from title field
-        const extractTitle = (titleArray) => {
-            if (!titleArray || !Array.isArray(titleArray)) return "Untitled";
-            return titleArray.map(item => item.plain_text || "").join("").trim() || "Untitled";
-        };
+    if (req.get('Authorization') !== `Bearer ${metricsToken}`) {
+        return res.status(401).json({
+            error: 'Authentication required',
+            message: 'Send the metrics token as "Authorization: Bearer <METRICS_TOKEN>"'
+        });
+    }
 
-        // Extract select field value
-        const extractSelect = (selectField) => {
-            return selectField?.select?.name || null;
-        };
+    next();
+}
 
-        // Extract multi-select values
-        const extractMultiSelect = (multiSelectField) => {
-            if (!multiSelectField?.multi_select || !Array.isArray(multiSelectField.multi_select)) return [];
-            return multiSelectField.multi_select.map(item => item.name);
-        };
+app.get('/metrics', validate('GET /metrics'), requireMetricsAccess, (req, res) => {
+    res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
 
-        // Extract date
-        const extractDate = (dateField) => {
-            return dateField?.date?.start || null;
-        };
+// API description, generated from the same schemas that validate requests
+app.get('/api/schema', validate('GET /api/schema'), (req, res) => {
+    res.json(describeApi());
+});
 
-        // Build the transformed entry
-        return {
-            id: page.id,
-            title: extractTitle(props.Title?.title),
-            description: extractRichText(props["What Was Discussed"]?.rich_text)?.substring(0, 300) + "..." || "No description available",
-            author: extractRichText(props["People Involved"]?.rich_text)?.split('\n')[0]?.replace(/^- /, '') || "Unknown",
-            date: formatDate(extractDate(props["Date Received"])),
-            tags: extractMultiSelect(props.Tags),
-            sourceType: extractSelect(props["Source Type"]) || "Document",
-            importance: (extractSelect(props.Importance) || "medium").toLowerCase(),
-            summary: extractRichText(props["What Was Discussed"]?.rich_text),
-            actionItems: extractRichText(props["Action Items/Next Steps"]?.rich_text)?.split('\n').filter(item => item.trim()),
-            decisions: extractRichText(props["Decision Made"]?.rich_text)?.split('\n').filter(item => item.trim()),
-            roadblocks: extractRichText(props["Roadblocks/Issues Raised"]?.rich_text)?.split('\n').filter(item => item.trim()),
-            openQuestions: extractRichText(props["Open Questions"]?.rich_text)?.split('\n').filter(item => item.trim()),
-            references: extractRichText(props.References?.rich_text)?.split('\n').filter(item => item.trim()),
-            milestones: extractRichText(props["Milestones and Status Updates"]?.rich_text)?.split('\n').filter(item => item.trim()),
-            type: extractSelect(props.Type),
-            phase: extractSelect(props.Phase),
-            freshnessScore: props["Freshness Score"]?.formula?.number || 0,
-            url: page.url,
-            lastEdited: page.last_edited_time,
-            createdTime: page.created_time
-        };
-    });
+app.get('/openapi.json', validate('GET /openapi.json'), (req, res) => {
+    res.json(openApiDocument({ baseUrl: publicBaseUrl(), version: VERSION }));
+});
 
-    return { entries };
-}
+// Import into TypingMind instead of configuring the plugins by hand
+app.get('/typingmind-plugin.json', validate('GET /typingmind-plugin.json'), (req, res) => {
+    const baseUrl = publicBaseUrl();
+    if (!baseUrl) {
+        return res.status(503).json({
+            error: 'Plugin manifest not configured',
+            message: 'Set PUBLIC_BASE_URL to the URL clients reach this server at to publish the TypingMind plugins'
+        });
+    }
+
+    res.json(typingMindManifest({ baseUrl, version: VERSION }));
+});
+
+// Dashboard login (OIDC)
+app.get('/auth/login', validate('GET /auth/login'), async (req, res) => {
+    try {
+        await beginLogin(req, res);
+    } catch (error) {
+        log('error', 'Login redirect failed', error.message);
+        res.status(500).json({
+            error: 'Login unavailable',
+            message: error.message
+        });
+    }
+});
+
+app.get('/auth/callback', validate('GET /auth/callback'), async (req, res) => {
+    try {
+        const { email } = await completeLogin(req, res);
+        log('info', 'Dashboard login completed', { user_email: email });
+    } catch (error) {
+        log('error', 'Dashboard login failed', error.message);
+        res.status(error.statusCode || 401).json({
+            error: 'Login failed',
+            message: error.message
+        });
+    }
+});
+
+app.post('/auth/logout', validate('POST /auth/logout'), (req, res) => {
+    logout(req, res);
+    res.json({ status: 'logged_out' });
+});
+
+app.get('/auth/me', requireAuth(), validate('GET /auth/me'), (req, res) => {
+    res.json({
+        email: req.userEmail,
+        method: req.auth.method,
+        scopes: req.auth.scopes
+    });
+});
 
 // Updated /api/recent-notion endpoint - simplified for most recent entries
-app.get('/api/recent-notion', validateEmailDomain, async (req, res) => {
+app.get('/api/recent-notion', requireAuth('search'), validate('GET /api/recent-notion'), limitSearch, async (req, res) => {
     log('info', 'Recent Notion knowledge request started');
     
     try {
-        const { limit = 20 } = req.query;
-        
-        const notionToken = 'ntn_v76360814545OsVy0XnVxzXFBJ82Lye9J8R9q8q1rel85F';
-        const databaseId = '22d1c725-5b2e-80d1-a2c3-f7b6586e26a4';
-        
-        if (!notionToken || !databaseId) {
-            return res.status(500).json({
-                error: 'Notion configuration missing',
-                missing: {
-                    token: !notionToken,
-                    databaseId: !databaseId
-                }
+        const page = parseNotionPage(req.query, { defaultLimit: 20 });
+        const database = getNotionDatabase(req.query.database);
+
+        await respondCached(req, res, {
+            route: 'GET /api/recent-notion',
+            request: { ...req.query, limit: page.limit },
+            ttl: config.responseCache.ttlSeconds.notion,
+            stale: config.responseCache.staleSeconds,
+            tags: [`notion:${database.name}`]
+        }, async () => {
+            const result = await listRecentNotion(database, {
+                pageSize: page.limit,
+                startCursor: page.startCursor,
+                access: req.access
             });
-        }
-
-        const notionPayload = {
-            sorts: [
-                {
-                    property: "Date Received",
-                    direction: "descending"
-                }
-            ],
-            page_size: parseInt(limit)
-        };
-
-        const response = await axios.post(
-            `https://api.notion.com/v1/databases/${databaseId}/query`, 
-            notionPayload, 
-            {
-                headers: {
-                    'Authorization': `Bearer ${notionToken}`,
-                    'Content-Type': 'application/json',
-                    'Notion-Version': '2022-06-28'
-                },
-                timeout: 30000
-            }
-        );
+            const { items: entries, next_cursor, has_more } = notionPage(result.entries, result);
 
-        // Transform the Notion response to frontend format
-        const transformedData = transformNotionToKnowledgeEntries(response.data);
+            log('info', 'Recent Notion knowledge query completed', {
+                database: database.name,
+                total_results: entries.length,
+                has_more,
+                user_email: req.userEmail
+            });
 
-        log('info', 'Recent Notion knowledge query completed', {
-            total_results: transformedData.entries.length,
-            user_email: req.userEmail
+            return { entries, next_cursor, has_more };
         });
 
-        res.json(transformedData);
-
     } catch (error) {
         log('error', 'Recent Notion knowledge query failed', error.message);
+
+        if (error.statusCode === 400) {
+            return res.status(400).json({
+                error: 'Invalid request',
+                message: error.message
+            });
+        }
+
+        if (error.notConfigured) {
+            return res.status(500).json({
+                error: 'Notion configuration missing',
+                message: error.message
+            });
+        }
+
+        if (error.upstreamUnavailable) {
+            return sendUpstreamUnavailable(res, error);
+        }
+
         res.status(500).json({
             error: 'Failed to fetch recent Notion knowledge',
             message: error.message,
@@ -288,146 +373,70 @@ app.get('/api/recent-notion', validateEmailDomain, async (req, res) => {
 });
 
 // Alternative: Search Notion endpoint with filters
-app.post('/api/search-notion', validateEmailDomain, async (req, res) => {
+app.post('/api/search-notion', requireAuth('search'), validate('POST /api/search-notion'), recordSearch, limitSearch, async (req, res) => {
     log('info', 'Notion search request started', req.body);
     
     try {
-        const { query, filters = {} } = req.body;
-        
-        const notionToken = process.env.NOTION_API_TOKEN;
-        const databaseId = process.env.NOTION_DATABASE_ID;
-        
-        if (!notionToken || !databaseId) {
-            return res.status(500).json({
-                error: 'Notion configuration missing'
+        const { query, filters = {}, sort, facets: withFacets } = req.body;
+        const page = parseNotionPage(req.body, { defaultLimit: 50 });
+        const database = getNotionDatabase(req.body.database);
+
+        await respondCached(req, res, {
+            route: 'POST /api/search-notion',
+            request: { ...req.body, limit: page.limit },
+            ttl: config.responseCache.ttlSeconds.notion,
+            tags: [`notion:${database.name}`]
+        }, async () => {
+            const [result, candidates] = await Promise.all([
+                searchNotion(database, query, filters, {
+                    pageSize: page.limit,
+                    startCursor: page.startCursor,
+                    access: req.access,
+                    sort
+                }),
+                withFacets ? notionFacetCandidates(database, query, filters, { access: req.access, sort }) : null
+            ]);
+            const { items: results, next_cursor, has_more } = notionPage(result.entries, result);
+
+            log('info', 'Notion search completed', {
+                query: query,
+                database: database.name,
+                total_results: results.length,
+                has_more,
+                filters_applied: Object.keys(filters),
+                sort,
+                user_email: req.userEmail
             });
-        }
 
-        // Build Notion filter from UI filters
-        let notionFilter = undefined;
-        
-        if (query || Object.keys(filters).length > 0) {
-            const filterConditions = [];
-            
-            // Text search across multiple fields
-            if (query) {
-                filterConditions.push({
-                    or: [
-                        {
-                            property: "Title",
-                            title: {
-                                contains: query
-                            }
-                        },
-                        {
-                            property: "What Was Discussed",
-                            rich_text: {
-                                contains: query
-                            }
-                        },
-                        {
-                            property: "Decision Made",
-                            rich_text: {
-                                contains: query
-                            }
-                        }
-                    ]
-                });
-            }
-            
-            // Source type filter
-            if (filters.source_type?.length) {
-                filterConditions.push({
-                    property: "Source Type",
-                    select: {
-                        equals: filters.source_type[0] // Notion select only supports single value
-                    }
-                });
-            }
-            
-            // Tags filter
-            if (filters.tags?.length) {
-                filterConditions.push({
-                    property: "Tags",
-                    multi_select: {
-                        contains: filters.tags[0] // Can be expanded for multiple tag logic
-                    }
-                });
-            }
-            
-            // Date range filter
-            if (filters.date_range) {
-                filterConditions.push({
-                    property: "Date Received",
-                    date: {
-                        on_or_after: filters.date_range.from,
-                        on_or_before: filters.date_range.to
-                    }
-                });
-            }
-            
-            // Importance filter
-            if (filters.importance?.length) {
-                filterConditions.push({
-                    property: "Importance",
-                    select: {
-                        equals: filters.importance[0]
-                    }
-                });
-            }
-            
-            // Combine filters with AND logic
-            if (filterConditions.length === 1) {
-                notionFilter = filterConditions[0];
-            } else if (filterConditions.length > 1) {
-                notionFilter = {
-                    and: filterConditions
-                };
-            }
-        }
-
-        const notionPayload = {
-            sorts: [
-                {
-                    property: "Freshness Score",
-                    direction: "descending"
-                },
-                {
-                    property: "Date Received",
-                    direction: "descending"
-                }
-            ],
-            page_size: 50,
-            ...(notionFilter && { filter: notionFilter })
-        };
+            return {
+                results,
+                next_cursor,
+                has_more,
+                ...(candidates && { facets: computeFacets(candidates.map(notionEntryFacetValues)) })
+            };
+        });
 
-        const response = await axios.post(
-            `https://api.notion.com/v1/databases/${databaseId}/query`, 
-            notionPayload, 
-            {
-                headers: {
-                    'Authorization': `Bearer ${notionToken}`,
-                    'Content-Type': 'application/json',
-                    'Notion-Version': '2022-06-28'
-                },
-                timeout: 30000
-            }
-        );
+    } catch (error) {
+        log('error', 'Notion search failed', error.message);
 
-        // Transform the Notion response
-        const transformedData = transformNotionToKnowledgeEntries(response.data);
+        if (error.statusCode === 400) {
+            return res.status(400).json({
+                error: 'Invalid search request',
+                message: error.message
+            });
+        }
 
-        log('info', 'Notion search completed', {
-            query: query,
-            total_results: transformedData.entries.length,
-            filters_applied: Object.keys(filters),
-            user_email: req.userEmail
-        });
+        if (error.notConfigured) {
+            return res.status(500).json({
+                error: 'Notion configuration missing',
+                message: error.message
+            });
+        }
 
-        res.json({ results: transformedData.entries });
+        if (error.upstreamUnavailable) {
+            return sendUpstreamUnavailable(res, error);
+        }
 
-    } catch (error) {
-        log('error', 'Notion search failed', error.message);
         res.status(500).json({
             error: 'Notion search failed',
             message: error.message
@@ -437,142 +446,114 @@ app.post('/api/search-notion', validateEmailDomain, async (req, res) => {
 
 module.exports = { transformNotionToKnowledgeEntries };
 // Test namespaces endpoint (for debugging)
-app.get('/test-namespaces', async (req, res) => {
+// Queries each collection named in ?collections= (default: all configured collections)
+app.get('/test-namespaces', requireAuth('search'), validate('GET /test-namespaces'), limitEmbeddingSearch, async (req, res) => {
     try {
-        // Test FLINT OS Pinecone connection
-        const flintOsKey = process.env.FLINT_OS_PINECONE_API_KEY;
-        const flintOsHost = process.env.FLINT_OS_PINECONE_INDEX_HOST;
-        
-        if (!flintOsKey || !flintOsHost) {
-            return res.status(500).json({
-                error: 'FLINT OS Pinecone configuration missing',
-                missing: {
-                    apiKey: !flintOsKey,
-                    indexHost: !flintOsHost
-                }
-            });
-        }
+        const names = req.query.collections
+            ? resolveCollectionNames(req.query.collections)
+            : listCollections().map(collection => collection.name);
 
         // Test with a simple query to check data availability
         const testEmbedding = await generateEmbedding("test query");
-        
-        const testPayload = {
-            vector: testEmbedding,
-            topK: 5,
-            namespace: "__default__",
-            includeMetadata: true
-        };
 
-        const response = await axios.post(`https://${flintOsHost}/query`, testPayload, {
-            headers: {
-                'Api-Key': flintOsKey,
-                'Content-Type': 'application/json',
-                'X-Pinecone-API-Version': '2025-04'
-            },
-            timeout: 30000
-        });
+        const collections = await Promise.all(names.map(async (name) => {
+            try {
+                const matches = await queryVectors({
+                    vector: testEmbedding,
+                    topK: 5,
+                    access: req.access,
+                    collections: name
+                });
+
+                return {
+                    collection: name,
+                    status: 'success',
+                    matches_count: matches.length,
+                    sample_match: matches[0] || null
+                };
+            } catch (error) {
+                return { collection: name, status: 'failed', error: error.message };
+            }
+        }));
 
         res.json({
-            status: 'success',
-            matches_count: response.data.matches?.length || 0,
-            sample_match: response.data.matches?.[0] || null,
-            namespace: response.data.namespace || '__default__',
-            usage: response.data.usage || null
+            status: collections.every(result => result.status === 'success') ? 'success' : 'partial',
+            configured: listCollections(),
+            collections
         });
 
     } catch (error) {
         log('error', 'Namespace test failed', error.message);
-        res.status(500).json({
+        res.status(error.statusCode === 400 ? 400 : 500).json({
             error: 'Failed to test Pinecone connection',
-            message: error.message,
-            status: error.response?.status,
-            data: error.response?.data
+            message: error.message
         });
     }
 });
 
+// Collections Endpoint
+// Names accepted by the "collections" parameter of the search, recent and chat endpoints
+app.get('/api/collections', requireAuth('search'), validate('GET /api/collections'), limitSearch, (req, res) => {
+    res.json({
+        collections: listCollections().map(({ name, namespace }) => ({ name, namespace })),
+        defaults: config.pinecone.defaultCollections
+    });
+});
+
 // Recent Knowledge Endpoint
-app.get('/api/recent', validateEmailDomain, async (req, res) => {
+app.get('/api/recent', requireAuth('search'), validate('GET /api/recent'), limitSearch, async (req, res) => {
     log('info', 'Recent knowledge request started');
     
     try {
-        const { limit = 20, days = 30 } = req.query;
-        
-        // Generate embedding for a generic "recent updates" query
-        const queryEmbedding = await generateEmbedding("recent updates knowledge information documents meeting notes");
-        
-        // Build date filter
-        const dateFilter = {
-            date_ended: { 
-                $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0]
-            }
-        };
-
-        const requestPayload = {
-            vector: queryEmbedding,
-            topK: parseInt(limit),
-            namespace: "__default__",
-            includeMetadata: true,
-            filter: dateFilter
-        };
-
-        // Use FLINT OS Pinecone configuration
-        const flintOsKey = process.env.FLINT_OS_PINECONE_API_KEY;
-        const flintOsHost = process.env.FLINT_OS_PINECONE_INDEX_HOST;
-        
-        if (!flintOsKey || !flintOsHost) {
-            throw new Error('FLINT OS Pinecone configuration not found');
-        }
-
-        const pineconeApiUrl = `https://${flintOsHost}/query`;
-        
-        const response = await axios.post(pineconeApiUrl, requestPayload, {
-            headers: {
-                'Api-Key': flintOsKey,
-                'Content-Type': 'application/json',
-                'X-Pinecone-API-Version': '2025-04'
-            },
-            timeout: 30000
-        });
-
-        // Parse response with proper error handling
-        const matches = response.data.matches || [];
-        
-        const entries = matches.map(match => ({
-            id: match.id,
-            title: match.metadata?.title || match.metadata?.label || "Untitled",
-            description: match.metadata?.chunk_text?.substring(0, 300) + "..." || "No description",
-            author: match.metadata?.people_involved?.[0] || "Unknown",
-            date: formatDate(match.metadata?.date_ended),
-            tags: match.metadata?.tags || [],
-            sourceType: match.metadata?.source_type || "Document",
-            importance: deriveImportance(match.metadata || {}),
-            summary: match.metadata?.discussion,
-            actionItems: match.metadata?.action_items,
-            decisions: match.metadata?.decisions_made,
-            score: match.score
-        }));
+        const { days = 30, since, group = true, collections } = req.query;
+        const page = parseKeysetPage(req.query, { defaultLimit: 20, maxLimit: 100 });
+        const cutoff = recentCutoff({ since, days });
+
+        // Keyed on the cutoff rather than `days`, which means a different window every day
+        await respondCached(req, res, {
+            route: 'GET /api/recent',
+            request: { ...req.query, days: undefined, since: cutoff, limit: page.limit },
+            ttl: config.responseCache.ttlSeconds.recent,
+            stale: config.responseCache.staleSeconds,
+            tags: pineconeTags(collections)
+        }, async () => {
+            const sorted = await listRecentEntries({ access: req.access, collections, since: cutoff, group });
+            const { items, next_cursor, has_more } = keysetPage(sorted, page, ({ key, entry }) => ({ date: entry.date_ended, key }));
+            const entries = items.map(({ entry }) => entry);
+
+            log('info', 'Recent knowledge query completed', {
+                total_results: entries.length,
+                user_email: req.userEmail,
+                since: cutoff,
+                grouped: group
+            });
 
-        log('info', 'Recent knowledge query completed', {
-            total_results: entries.length,
-            user_email: req.userEmail,
-            days_filter: days
+            return { entries, since: cutoff, next_cursor, has_more };
         });
-
-        res.json({ entries });
         
     } catch (error) {
         log('error', 'Recent knowledge query failed', error.message);
         
+        if (error.statusCode === 400) {
+            return res.status(400).json({
+                error: 'Invalid request',
+                message: error.message
+            });
+        }
+
         // Enhanced error handling
-        if (error.response?.status === 422) {
+        if (isPineconeValidationError(error)) {
             return res.status(422).json({ 
                 error: 'Invalid request format',
                 message: 'Pinecone API request validation failed',
-                details: error.response.data
+                details: error.message
             });
         }
         
+        if (error.upstreamUnavailable) {
+            return sendUpstreamUnavailable(res, error);
+        }
+
         res.status(500).json({ 
             error: 'Failed to fetch recent knowledge',
             message: error.message 
@@ -580,177 +561,454 @@ app.get('/api/recent', validateEmailDomain, async (req, res) => {
     }
 });
 
+// Search
+// /api/search and the legacy /search contract share this path; only the response shape differs.
+// The legacy contract keeps Pinecone's raw order, so reranking is opt-in.
+async function runSearch(req, { query, filters = {}, collections, topK, rerank = false }) {
+    const matches = await searchPinecone(query, filters, { access: req.access, collections, topK, rerank });
+
+    log('info', 'Search query completed', {
+        query: query,
+        total_results: matches.length,
+        collections: [...new Set(matches.map(match => match.collection))],
+        filters_applied: Object.keys(buildPineconeFilter(filters)),
+        user_email: req.userEmail
+    });
+
+    return matches;
+}
+
+// Response cache tags for the Pinecone collections a request reads
+function pineconeTags(collections) {
+    return resolveCollectionNames(collections).map(name => `pinecone:${name}`);
+}
+
+// An upstream still failing after retries, or with its circuit open (lib/resilience.js)
+function sendUpstreamUnavailable(res, error) {
+    if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+
+    return res.status(503).json({
+        error: 'Upstream service unavailable',
+        message: error.message,
+        upstream: error.upstream
+    });
+}
+
+function sendSearchError(res, error) {
+    log('error', 'Search query failed', error.message);
+
+    if (error.statusCode === 400) {
+        return res.status(400).json({
+            error: 'Invalid search request',
+            message: error.message
+        });
+    }
+
+    if (isPineconeValidationError(error)) {
+        return res.status(422).json({ 
+            error: 'Invalid search request',
+            message: 'Pinecone API validation failed',
+            details: error.message
+        });
+    }
+
+    if (error.quotaExceeded) {
+        return sendQuotaExceeded(res, error);
+    }
+
+    if (error.upstreamUnavailable) {
+        return sendUpstreamUnavailable(res, error);
+    }
+    
+    res.status(500).json({ 
+        error: 'Search failed',
+        message: error.message 
+    });
+}
+
+// Known values of every filterable field, for the dashboard's filter dropdowns.
+// Pinecone values come from a sample of the caller's readable vectors, Notion values from
+// the database's select options; either backend failing leaves the other's values.
+app.get('/api/facets', requireAuth('search'), validate('GET /api/facets'), limitSearch, async (req, res) => {
+    try {
+        const database = (config.notion.defaultDatabase || req.query.database) ? getNotionDatabase(req.query.database) : null;
+
+        await respondCached(req, res, {
+            route: 'GET /api/facets',
+            request: req.query,
+            ttl: config.responseCache.ttlSeconds.search,
+            tags: [...pineconeTags(req.query.collections), ...(database ? [`notion:${database.name}`] : [])],
+            cacheable: body => Object.values(body.sources).every(source => source.status !== 'failed')
+        }, async () => {
+            const [pinecone, notion] = await Promise.allSettled([
+                pineconeKnownValues({ access: req.access, collections: req.query.collections }),
+                database ? notionKnownValues(database) : Promise.resolve(null)
+            ]);
+
+            if (pinecone.status === 'rejected' && (notion.status === 'rejected' || !database)) {
+                throw pinecone.reason;
+            }
+
+            const sources = {
+                pinecone: pinecone.status === 'fulfilled'
+                    ? { status: 'ok', sampled: pinecone.value.sampled }
+                    : { status: 'failed', error: pinecone.reason.message },
+                notion: !database
+                    ? { status: 'not_configured' }
+                    : notion.status === 'fulfilled'
+                        ? { status: 'ok', database: database.name }
+                        : { status: 'failed', database: database.name, error: notion.reason.message }
+            };
+
+            const facets = mergeKnownValues([
+                ...(pinecone.status === 'fulfilled' ? pinecone.value.values : []),
+                ...(notion.status === 'fulfilled' && notion.value ? [notion.value] : [])
+            ]);
+
+            return { facets, sources };
+        });
+
+    } catch (error) {
+        sendSearchError(res, error);
+    }
+});
+
+// Semantic search can't run without embeddings and Pinecone; Notion keyword search can
+function canFallBackToNotion(error) {
+    return !!(error.upstreamUnavailable && ['embedding', 'pinecone'].includes(error.upstream) && config.notion.defaultDatabase);
+}
+
+// Answer /api/search from Notion keyword search, flagged as degraded; the original error
+// stands if Notion fails too
+async function sendKeywordFallback(req, res, cause) {
+    const { query, filters = {}, facets: withFacets } = req.body;
+
+    try {
+        const page = parseOffsetPage(req.body, { defaultLimit: 50, maxLimit: 100 });
+        const database = getNotionDatabase();
+        const { entries, results, keywords } = await notionKeywordSearch(query, filters, {
+            limit: page.fetchCount,
+            notion: database,
+            access: req.access
+        });
+        const { items, next_cursor, has_more } = offsetPage(results, page);
+
+        log('warn', 'Semantic search unavailable, answered from Notion keyword search', {
+            upstream: cause.upstream,
+            error: cause.message,
+            keywords,
+            total_results: items.length,
+            user_email: req.userEmail
+        });
+
+        res.json({
+            results: items,
+            next_cursor,
+            has_more,
+            ...(withFacets && { facets: computeFacets(entries.map(notionEntryFacetValues)) }),
+            degraded: {
+                reason: cause.message,
+                upstream: cause.upstream,
+                fallback: 'notion_keyword',
+                database: database.name
+            }
+        });
+
+    } catch (error) {
+        log('error', 'Notion keyword fallback failed', error.message);
+        sendSearchError(res, cause);
+    }
+}
+
 // Search Endpoint
-app.post('/api/search', validateEmailDomain, async (req, res) => {
+app.post('/api/search', requireAuth('search'), validate('POST /api/search'), recordSearch, limitEmbeddingSearch, async (req, res) => {
     log('info', 'Knowledge search request started', req.body);
     
     try {
-        const { query, filters = {} } = req.body;
+        const { query, filters = {}, collections, facets: withFacets } = req.body;
+
+        const page = parseOffsetPage(req.body, { defaultLimit: 50, maxLimit: 100 });
+        // Facets are counted over a wider candidate set than the page; the page is cut from the same ranking
+        const topK = withFacets ? Math.max(page.fetchCount, PINECONE_FACET_CANDIDATES) : page.fetchCount;
+
+        await respondCached(req, res, {
+            route: 'POST /api/search',
+            request: { ...req.body, limit: page.limit },
+            ttl: config.responseCache.ttlSeconds.search,
+            tags: pineconeTags(collections)
+        }, async () => {
+            const matches = await runSearch(req, { query, filters, collections, topK, rerank: true });
+            const { items, next_cursor, has_more } = offsetPage(matches, page);
+
+            return {
+                results: items.map(mapMatchToResult),
+                next_cursor,
+                has_more,
+                ...(withFacets && { facets: computeFacets(matches.map(matchFacetValues)) })
+            };
+        });
         
-        if (!query) {
+    } catch (error) {
+        if (canFallBackToNotion(error)) {
+            return sendKeywordFallback(req, res, error);
+        }
+        sendSearchError(res, error);
+    }
+});
+
+// Hybrid Search Endpoint
+app.post('/api/search/hybrid', requireAuth('search'), validate('POST /api/search/hybrid'), recordSearch, limitEmbeddingSearch, async (req, res) => {
+    log('info', 'Hybrid search request started', req.body);
+
+    try {
+        const { query, filters = {}, collections } = req.body;
+
+        const page = parseOffsetPage(req.body, { defaultLimit: 20, maxLimit: 100 });
+        const notion = config.notion.defaultDatabase ? getNotionDatabase() : null;
+
+        // Results missing a failed backend aren't reused
+        await respondCached(req, res, {
+            route: 'POST /api/search/hybrid',
+            request: { ...req.body, limit: page.limit },
+            ttl: config.responseCache.ttlSeconds.search,
+            tags: [...pineconeTags(collections), ...(notion ? [`notion:${notion.name}`] : [])],
+            cacheable: body => Object.values(body.backends).every(backend => backend.status !== 'failed')
+        }, async () => {
+            const { results: fused, backends } = await hybridSearch(query, filters, {
+                limit: page.fetchCount,
+                access: req.access,
+                collections,
+                notion
+            });
+            const { items: results, next_cursor, has_more } = offsetPage(fused, page);
+
+            log('info', 'Hybrid search completed', {
+                query: query,
+                total_results: results.length,
+                has_more,
+                backends,
+                user_email: req.userEmail
+            });
+
+            return { results, backends, next_cursor, has_more };
+        });
+
+    } catch (error) {
+        log('error', 'Hybrid search failed', error.message);
+
+        if (error.statusCode === 400) {
             return res.status(400).json({
-                error: 'Query parameter is required'
+                error: 'Invalid search request',
+                message: error.message
             });
         }
-        
-        // Generate embedding for the search query
-        const queryEmbedding = await generateEmbedding(query);
-        
-        // Build Pinecone filter from UI filters
-        const pineconeFilter = {};
-        
-        if (filters.source_type?.length) {
-            pineconeFilter.source_type = { $in: filters.source_type };
-        }
-        
-        if (filters.tags?.length) {
-            pineconeFilter.tags = { $in: filters.tags };
+
+        if (isPineconeValidationError(error)) {
+            return res.status(422).json({
+                error: 'Invalid search request',
+                message: 'Pinecone API validation failed',
+                details: error.message
+            });
         }
-        
-        if (filters.date_range) {
-            pineconeFilter.date_ended = {
-                $gte: filters.date_range.from,
-                $lte: filters.date_range.to
-            };
+
+        if (error.quotaExceeded) {
+            return sendQuotaExceeded(res, error);
         }
-        
-        if (filters.people_involved?.length) {
-            pineconeFilter.people_involved = { $in: filters.people_involved };
+
+        if (error.upstreamUnavailable) {
+            return sendUpstreamUnavailable(res, error);
         }
 
-        const requestPayload = {
-            vector: queryEmbedding,
-            topK: 50,
-            namespace: "__default__",
-            includeMetadata: true,
-            filter: Object.keys(pineconeFilter).length > 0 ? pineconeFilter : undefined
-        };
+        res.status(500).json({
+            error: 'Hybrid search failed',
+            message: error.message
+        });
+    }
+});
 
-        // Use FLINT OS Pinecone configuration
-        const flintOsKey = process.env.FLINT_OS_PINECONE_API_KEY;
-        const flintOsHost = process.env.FLINT_OS_PINECONE_INDEX_HOST;
-        
-        if (!flintOsKey || !flintOsHost) {
-            throw new Error('FLINT OS Pinecone configuration not found');
+// Ingestion Endpoint
+// Accepts JSON ({ text | file: { name, content, encoding }, title, tags, ... })
+// or a raw text/Markdown/transcript body with metadata in the query string
+app.post('/api/ingest', requireAuth('ingest'), express.text({
+    type: ['text/plain', 'text/markdown', 'text/x-markdown', 'text/vtt'],
+    limit: '10mb'
+}), validate('POST /api/ingest'), recordIngest, limitIngest, async (req, res) => {
+    const isRawBody = typeof req.body === 'string';
+    const body = isRawBody ? { ...req.query, text: req.body } : (req.body || {});
+
+    log('info', 'Ingest request started', {
+        title: body.title,
+        filename: body.file?.name || body.filename,
+        content_length: (body.text || body.content || body.file?.content)?.length || 0,
+        user_email: req.userEmail
+    });
+
+    try {
+        let text = body.text || body.content;
+        let filename = body.filename;
+
+        if (body.file) {
+            filename = body.file.name || filename;
+            text = body.file.encoding === 'base64'
+                ? Buffer.from(body.file.content || '', 'base64').toString('utf8')
+                : body.file.content;
         }
 
-        const pineconeApiUrl = `https://${flintOsHost}/query`;
-        
-        const response = await axios.post(pineconeApiUrl, requestPayload, {
-            headers: {
-                'Api-Key': flintOsKey,
-                'Content-Type': 'application/json',
-                'X-Pinecone-API-Version': '2025-04'
-            },
-            timeout: 30000
-        });
+        if (!text) {
+            return res.status(400).json({
+                error: 'Document text is required',
+                message: 'Send "text", "content" or "file" in the request body'
+            });
+        }
 
-        // Parse response with validation
-        const matches = response.data.matches || [];
-        
-        const results = matches.map(match => ({
-            id: match.id,
-            title: match.metadata?.title || match.metadata?.label || "Untitled",
-            description: match.metadata?.chunk_text?.substring(0, 300) + "..." || "No description",
-            author: match.metadata?.people_involved?.[0] || "Unknown",
-            date: formatDate(match.metadata?.date_ended),
-            tags: match.metadata?.tags || [],
-            sourceType: match.metadata?.source_type || "Document",
-            importance: deriveImportance(match.metadata || {}),
-            summary: match.metadata?.discussion,
-            score: match.score
-        }));
+        const chunkSize = body.chunk_size ? parseInt(body.chunk_size) : undefined;
+        const overlap = body.chunk_overlap !== undefined ? parseInt(body.chunk_overlap) : undefined;
+
+        const result = await ingestDocument({
+            id: body.id,
+            text,
+            filename,
+            metadata: {
+                title: body.title,
+                date_ended: body.date_ended,
+                people_involved: body.people_involved,
+                tags: body.tags,
+                source_type: body.source_type,
+                decisions_made: body.decisions_made,
+                action_items: body.action_items,
+                roadblocks_issues: body.roadblocks_issues,
+                allowed_groups: body.allowed_groups,
+                allowed_users: body.allowed_users
+            }
+        }, {
+            chunkSize,
+            overlap,
+            collection: body.collection,
+            ingestedBy: req.userEmail
+        });
 
-        log('info', 'Search query completed', {
-            query: query,
-            total_results: results.length,
-            filters_applied: Object.keys(pineconeFilter),
+        log('info', 'Ingest request completed', {
+            document_id: result.document_id,
+            chunks: result.chunks,
             user_email: req.userEmail
         });
 
-        res.json({ results });
-        
+        res.status(201).json(result);
+
     } catch (error) {
-        log('error', 'Search query failed', error.message);
-        
-        if (error.response?.status === 422) {
-            return res.status(422).json({ 
-                error: 'Invalid search request',
+        log('error', 'Ingest request failed', error.message);
+
+        if (error.statusCode === 400) {
+            return res.status(400).json({
+                error: 'Invalid document',
+                message: error.message
+            });
+        }
+
+        if (isPineconeValidationError(error)) {
+            return res.status(422).json({
+                error: 'Invalid ingest request',
                 message: 'Pinecone API validation failed',
-                details: error.response.data
+                details: error.message
             });
         }
-        
-        res.status(500).json({ 
-            error: 'Search failed',
-            message: error.message 
+
+        if (error.quotaExceeded) {
+            return sendQuotaExceeded(res, error);
+        }
+
+        if (error.upstreamUnavailable) {
+            return sendUpstreamUnavailable(res, error);
+        }
+
+        res.status(500).json({
+            error: 'Ingestion failed',
+            message: error.message
         });
     }
 });
 
-// Chat Webhook Proxy
-app.post('/api/chat', validateEmailDomain, async (req, res) => {
-    log('info', 'Chat request started', req.body);
-    
+// Notion Sync Endpoint
+// Waits for the run to finish; pass { "full": true } to re-embed every page
+app.post('/api/sync/notion', requireAuth('ingest'), validate('POST /api/sync/notion'), recordActivity('sync'), limitIngest, async (req, res) => {
+    log('info', 'Notion sync request started', { user_email: req.userEmail, ...req.body });
+
+    const { alreadyRunning, promise } = syncNotion({ full: req.body?.full === true });
+
+    if (alreadyRunning) {
+        return res.status(409).json({
+            error: 'Notion sync already running',
+            status: getNotionSyncStatus()
+        });
+    }
+
     try {
-        const { message, conversation_history } = req.body;
-        
-        if (!message) {
-            return res.status(400).json({
-                error: 'Message parameter is required'
-            });
+        const summary = await promise;
+        res.json({ status: 'success', ...summary });
+
+    } catch (error) {
+        if (error.quotaExceeded) {
+            return sendQuotaExceeded(res, error);
         }
-        
-        // Forward to your Make.com webhook
-        const makeWebhookUrl = process.env.MAKE_CHAT_WEBHOOK_URL;
-        
-        if (!makeWebhookUrl) {
-            return res.status(500).json({
-                error: 'Chat webhook not configured',
-                message: 'Please set MAKE_CHAT_WEBHOOK_URL environment variable'
-            });
+
+        if (error.upstreamUnavailable) {
+            return sendUpstreamUnavailable(res, error);
         }
 
-        const response = await axios.post(makeWebhookUrl, {
+        res.status(500).json({
+            error: 'Notion sync failed',
+            message: error.message,
+            status: error.response?.status
+        });
+    }
+});
+
+// Chat Endpoint
+// Answers from the FLINT OS index (CHAT_BACKEND=rag) or proxies to Make.com (CHAT_BACKEND=make)
+app.post('/api/chat', requireAuth('chat'), validate('POST /api/chat'), recordChat, limitChat, async (req, res) => {
+    log('info', 'Chat request started', req.body);
+    
+    try {
+        const { message, conversation_history, filters, collections } = req.body;
+
+        const result = await chat({
             message,
-            conversation_history: conversation_history || [],
-            timestamp: new Date().toISOString(),
-            source: "flint_os_dashboard",
-            user_email: req.userEmail
-        }, {
-            timeout: 30000,
-            headers: {
-                'Content-Type': 'application/json'
-            }
+            conversationHistory: conversation_history,
+            filters,
+            collections,
+            access: req.access,
+            userEmail: req.userEmail
         });
 
         log('info', 'Chat response received', {
             user_email: req.userEmail,
+            backend: result.backend,
             message_length: message.length,
-            response_received: !!response.data
+            response_received: !!result.response,
+            citations: result.citations?.length
         });
 
-        // Handle different response formats from Make.com
-        let chatResponse = '';
-        if (typeof response.data === 'string') {
-            chatResponse = response.data;
-        } else if (response.data.response) {
-            chatResponse = response.data.response;
-        } else if (response.data.message) {
-            chatResponse = response.data.message;
-        } else if (response.data.reply) {
-            chatResponse = response.data.reply;
-        } else {
-            chatResponse = JSON.stringify(response.data);
-        }
-
         res.json({
-            response: chatResponse,
+            ...result,
             timestamp: new Date().toISOString()
         });
         
     } catch (error) {
         log('error', 'Chat request failed', error.message);
+
+        if (error.statusCode === 400) {
+            return res.status(400).json({
+                error: 'Invalid chat request',
+                message: error.message
+            });
+        }
+
+        if (error.notConfigured) {
+            return res.status(500).json({
+                error: 'Chat backend not configured',
+                message: error.message
+            });
+        }
         
         if (error.code === 'ECONNABORTED') {
             return res.status(504).json({ 
@@ -759,6 +1017,14 @@ app.post('/api/chat', validateEmailDomain, async (req, res) => {
             });
         }
         
+        if (error.quotaExceeded) {
+            return sendQuotaExceeded(res, error);
+        }
+
+        if (error.upstreamUnavailable) {
+            return sendUpstreamUnavailable(res, error);
+        }
+
         res.status(500).json({ 
             error: 'Chat service unavailable',
             message: 'Please try again later'
@@ -766,9 +1032,157 @@ app.post('/api/chat', validateEmailDomain, async (req, res) => {
     }
 });
 
+// Streaming Chat Endpoint
+// Events: "sources" once retrieval is done, "token" per content delta, then "done" or "error".
+// GET takes message, conversation_history and filters (JSON) and collections as query parameters for EventSource clients.
+// Unparseable JSON is left as the raw string so validation reports the field
+function parseJsonParam(value) {
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return value;
+    }
+}
+
+function parseChatStreamQuery(req, res, next) {
+    ['conversation_history', 'filters'].forEach(name => {
+        if (req.query[name] !== undefined) req.query[name] = parseJsonParam(req.query[name]);
+    });
+    next();
+}
+
+async function handleChatStream(req, res) {
+    const params = req.method === 'GET' ? req.query : req.body;
+    const { message, conversation_history, filters, collections } = params;
+
+    log('info', 'Chat stream request started', { message, user_email: req.userEmail });
+
+    const stream = openEventStream(res);
+    const startedAt = Date.now();
+    let retrievedAt = null;
+    let firstTokenAt = null;
+
+    try {
+        const result = await chatStream({
+            message,
+            conversationHistory: conversation_history,
+            filters,
+            collections,
+            access: req.access,
+            userEmail: req.userEmail
+        }, {
+            signal: stream.signal,
+            onSources: (sources, query) => {
+                retrievedAt = Date.now();
+                stream.send('sources', { sources, query });
+            },
+            onToken: (content) => {
+                if (!firstTokenAt) firstTokenAt = Date.now();
+                stream.send('token', { content });
+            }
+        });
+
+        const timing = {
+            retrieval_ms: retrievedAt ? retrievedAt - startedAt : null,
+            first_token_ms: firstTokenAt ? firstTokenAt - startedAt : null,
+            total_ms: Date.now() - startedAt
+        };
+
+        res.locals.analytics = {
+            backend: result.backend,
+            ...(result.citations && {
+                results: result.citations.length,
+                citations: result.citations.map(({ id, title }) => ({ id, title }))
+            })
+        };
+
+        log('info', 'Chat stream completed', {
+            user_email: req.userEmail,
+            backend: result.backend,
+            citations: result.citations?.length,
+            ...timing
+        });
+
+        stream.send('done', {
+            backend: result.backend,
+            citations: result.citations || [],
+            query: result.query,
+            usage: result.usage || null,
+            timing,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        if (stream.signal.aborted) {
+            log('info', 'Chat stream cancelled by client', { user_email: req.userEmail });
+            return;
+        }
+
+        log('error', 'Chat stream failed', error.message);
+        res.locals.analytics = { error: error.message };
+
+        if (error.quotaExceeded) {
+            stream.send('error', {
+                error: 'Daily quota exceeded',
+                message: error.message,
+                quota: error.quota,
+                retry_after: error.retryAfter
+            });
+            return;
+        }
+
+        stream.send('error', error.notConfigured ? {
+            error: 'Chat backend not configured',
+            message: error.message
+        } : {
+            error: 'Chat service unavailable',
+            message: error.code === 'ECONNABORTED' ? 'The chat service stopped responding' : 'Please try again later'
+        });
+
+    } finally {
+        stream.end();
+    }
+}
+
+app.get('/api/chat/stream', requireAuth('chat'), parseChatStreamQuery, validate('GET /api/chat/stream'), recordChat, limitChat, handleChatStream);
+app.post('/api/chat/stream', requireAuth('chat'), validate('POST /api/chat/stream'), recordChat, limitChat, handleChatStream);
+
+// Requests, embedding tokens and chat messages per caller for a day (UTC), with quota headroom
+app.get('/api/admin/usage', requireAuth('admin'), validate('GET /api/admin/usage'), rateLimit('admin'), async (req, res) => {
+    try {
+        res.json(await getUsageReport({ day: req.query.day, user: req.query.user }));
+    } catch (error) {
+        log('error', 'Usage report failed', { error: error.message });
+        res.status(500).json({
+            error: 'Usage report failed',
+            message: error.message
+        });
+    }
+});
+
+// Top and zero-result queries, filters and cited documents in use, and activity over time
+app.get('/api/admin/analytics', requireAuth('admin'), validate('GET /api/admin/analytics'), rateLimit('admin'), async (req, res) => {
+    try {
+        const { from, to, kind, interval, limit } = req.query;
+        res.json(await getAnalyticsReport({ from, to, kind, interval, limit }));
+    } catch (error) {
+        log('error', 'Analytics report failed', { error: error.message });
+        res.status(500).json({
+            error: 'Analytics report failed',
+            message: error.message
+        });
+    }
+});
+
 // Legacy transcript search endpoint (for backwards compatibility)
-app.post('/search', async (req, res) => {
+// Runs through the /api/search path and answers in the frozen v1 contract from lib/compat.js
+app.post('/search', requireAuth('search'), validate('POST /search'), recordActivity('search', describeLegacySearch), limitEmbeddingSearch, async (req, res) => {
     log('info', 'Legacy transcript search request started', req.body);
+
+    res.set('X-API-Version', legacySearchV1.version);
+    res.set('Deprecation', 'true');
+    res.set('Link', '</api/search>; rel="successor-version"');
     
     try {
         const { query } = req.body;
@@ -779,51 +1193,22 @@ app.post('/search', async (req, res) => {
             });
         }
 
-        // Generate embedding
-        const embedding = await generateEmbedding(query);
-        
-        const requestPayload = {
-            vector: embedding,
-            topK: 10,
-            namespace: "__default__",
-            includeMetadata: true
-        };
-
-        // Use legacy transcript Pinecone configuration
-        const response = await axios.post(`https://${process.env.PINECONE_INDEX_HOST}/query`, requestPayload, {
-            headers: {
-                'Api-Key': process.env.PINECONE_API_KEY,
-                'Content-Type': 'application/json',
-                'X-Pinecone-API-Version': '2025-04'
-            },
-            timeout: 30000
-        });
-
-        const matches = response.data.matches || [];
-        const formattedResults = matches.map(match => ({
-            id: match.id,
-            text: match.metadata?.text || 'No content available',
-            score: match.score,
-            metadata: match.metadata || {}
-        }));
+        if (!config.pinecone.collections[legacySearchV1.collections]) {
+            return res.status(500).json({
+                error: 'Transcript Pinecone configuration missing'
+            });
+        }
 
-        log('info', 'Legacy transcript search completed', {
+        const matches = await runSearch(req, {
             query,
-            results_count: formattedResults.length
+            collections: legacySearchV1.collections,
+            topK: legacySearchV1.topK
         });
 
-        res.json({
-            results: formattedResults,
-            query,
-            total: formattedResults.length
-        });
+        res.json(legacySearchV1.formatResponse(matches, query));
 
     } catch (error) {
-        log('error', 'Legacy transcript search failed', error.message);
-        res.status(500).json({
-            error: 'Search failed',
-            message: error.message
-        });
+        sendSearchError(res, error);
     }
 });
 
@@ -838,7 +1223,8 @@ app.use((error, req, res, next) => {
     
     res.status(500).json({
         error: 'Internal server error',
-        message: 'An unexpected error occurred'
+        message: 'An unexpected error occurred',
+        request_id: req.requestId
     });
 });
 
@@ -846,25 +1232,26 @@ app.use((error, req, res, next) => {
 app.use((req, res) => {
     res.status(404).json({
         error: 'Endpoint not found',
-        availableEndpoints: [
-            'GET /health',
-            'GET /test-namespaces',
-            'GET /api/recent',
-            'POST /api/search',
-            'POST /api/chat',
-            'POST /search (legacy)',
-            'GET /recent-notion'
-        ]
+        availableEndpoints: listEndpoints()
     });
 });
 
 // Start server
 app.listen(PORT, () => {
     log('info', `FLINT OS Knowledge Base Server started on port ${PORT}`, {
-        version: '1.1.2-commonjs-fix',
-        environment: process.env.NODE_ENV || 'development',
+        version: VERSION,
+        environment: config.server.nodeEnv,
         timestamp: new Date().toISOString()
     });
+
+    if (getAuthStatus().legacy_email_header) {
+        log('warn', 'AUTH_ALLOW_LEGACY_EMAIL_HEADER is enabled: x-user-email is trusted without verification');
+    }
+
+    startNotionSyncTimer();
+
+    // Renamed or missing Notion columns otherwise only show up as empty fields
+    checkNotionSchemas();
 });
 
 module.exports = app;
\ No newline at end of file
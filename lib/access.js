@@ -0,0 +1,152 @@
+// Document-level access control
+//
+// Documents carry an `acl` metadata list of principals ("group:leadership",
+// "user:alice@flintbuilders.com"). Documents without an acl are visible to every
+// authenticated caller. Callers' groups come from ACL_GROUPS_FILE:
+//   { "leadership": ["alice@flintbuilders.com"], "hr": ["*@hr.flintbuilders.com"] }
+// and, for API keys, from the key entry's "groups" list. Callers identified only by the
+// unverified x-user-email header get only "everyone" and no user principal.
+//
+// In Notion the same principals live in a multi-select property named by
+// NOTION_ACL_PROPERTY (group names or emails); Notion ACLs are off when it is unset.
+
+const fs = require('fs');
+const { getConfig } = require('./config');
+
+const EVERYONE_GROUP = 'everyone';
+
+let groupConfig = null;
+
+function loadGroupConfig() {
+    if (!groupConfig) {
+        const file = getConfig().acl.groupsFile;
+        groupConfig = file ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+    }
+    return groupConfig;
+}
+
+// `email` is already lowercased
+function memberMatches(member, email) {
+    const pattern = member.toLowerCase();
+    if (pattern.startsWith('*@')) return email.endsWith(pattern.slice(1));
+    return pattern === email;
+}
+
+// The legacy header is a claim anyone can make, so it must not unlock restricted documents
+function verifiedEmail(identity) {
+    if (!identity || identity.method === 'legacy_header') return '';
+    return (identity.email || '').toLowerCase();
+}
+
+function resolveGroups(identity) {
+    const email = verifiedEmail(identity);
+    const groups = new Set([EVERYONE_GROUP, ...(identity?.groups || [])]);
+
+    Object.entries(loadGroupConfig()).forEach(([group, members]) => {
+        if (email && Array.isArray(members) && members.some(member => memberMatches(member, email))) {
+            groups.add(group);
+        }
+    });
+
+    return [...groups];
+}
+
+// Access context for one request; every read path takes one of these
+function getAccessContext(identity) {
+    const email = verifiedEmail(identity);
+    const groups = resolveGroups(identity);
+
+    return {
+        email,
+        groups,
+        principals: [
+            ...groups.map(group => `group:${group}`),
+            ...(email ? [`user:${email}`] : [])
+        ]
+    };
+}
+
+// Principals for a document from the allowed_groups / allowed_users it was submitted with
+function aclFromInput({ allowed_groups, allowed_users } = {}) {
+    const toArray = value => (Array.isArray(value) ? value : String(value || '').split(','))
+        .map(item => String(item).trim())
+        .filter(Boolean);
+
+    return [
+        ...toArray(allowed_groups).map(group => `group:${group}`),
+        ...toArray(allowed_users).map(user => `user:${user.toLowerCase()}`)
+    ];
+}
+
+// Notion multi-select values are bare group names or emails
+function aclFromNotionValues(values = []) {
+    return values.map(value => (value.includes('@') ? `user:${value.toLowerCase()}` : `group:${value}`));
+}
+
+// Mandatory Pinecone filter, applied before (AND-ed with) any user-supplied filter
+function withPineconeAccessFilter(access, userFilter) {
+    if (!access) {
+        throw new Error('An access context is required to query the knowledge base');
+    }
+
+    const accessFilter = {
+        $or: [
+            { acl: { $exists: false } },
+            { acl: { $in: access.principals } }
+        ]
+    };
+
+    return userFilter && Object.keys(userFilter).length > 0
+        ? { $and: [accessFilter, userFilter] }
+        : accessFilter;
+}
+
+// The same rule as withPineconeAccessFilter, for records already in hand
+function canReadRecord(access, metadata = {}) {
+    if (!access) {
+        throw new Error('An access context is required to query the knowledge base');
+    }
+
+    const acl = metadata.acl;
+    if (acl === undefined || acl === null) return true;
+
+    const principals = new Set(access.principals);
+    return (Array.isArray(acl) ? acl : [acl]).some(principal => principals.has(principal));
+}
+
+function getNotionAclProperty() {
+    return getConfig().acl.notionProperty;
+}
+
+// Mandatory Notion filter, AND-ed with any user-supplied filter
+function withNotionAccessFilter(access, userFilter) {
+    if (!access) {
+        throw new Error('An access context is required to query the knowledge base');
+    }
+
+    const property = getNotionAclProperty();
+    if (!property) return userFilter;
+
+    const values = [...access.groups, ...(access.email ? [access.email] : [])];
+    const accessFilter = {
+        or: [
+            { property, multi_select: { is_empty: true } },
+            ...values.map(value => ({ property, multi_select: { contains: value } }))
+        ]
+    };
+
+    if (!userFilter) return accessFilter;
+
+    // Notion allows two levels of nesting, so merge into the user's "and" rather than wrapping it
+    return { and: [accessFilter, ...(userFilter.and || [userFilter])] };
+}
+
+module.exports = {
+    getAccessContext,
+    aclFromInput,
+    aclFromNotionValues,
+    getNotionAclProperty,
+    withPineconeAccessFilter,
+    canReadRecord,
+    withNotionAccessFilter
+};
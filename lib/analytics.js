@@ -0,0 +1,402 @@
+// Audit log and query analytics
+//
+// recordActivity(kind, describe) is route middleware: once the response has been sent it
+// stores one event saying who called which route, with what status and latency, plus the
+// fields describe(req, body) picks out (query, filters, result count, cited documents).
+// Handlers that stream can add fields through res.locals.analytics.
+//
+// Events go to a store (ANALYTICS_STORE):
+//   file    one JSON-lines file per UTC day under ANALYTICS_DIR
+//   memory  this process only, for development
+// Days older than ANALYTICS_RETENTION_DAYS are deleted. With ANALYTICS_REDACT_PII callers
+// are stored as pseudonyms and email addresses and phone numbers in text are masked.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const { log } = require('./log');
+const { getConfig } = require('./config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(\.[\w-]+)+/g;
+// North American numbers, written with or without separators
+const PHONE_PATTERN = /(?<![\w-])(\+?1[ .-]?)?\(?\d{3}\)?[ .-]?\d{3}[ .-]?\d{4}(?![\w-])/g;
+
+const stats = { events: 0, write_errors: 0, pruned_days: 0 };
+
+let store = null;
+
+function eventDay(event) {
+    return event.timestamp.slice(0, 10);
+}
+
+// Days from..to (YYYY-MM-DD), inclusive
+function daysBetween(from, to) {
+    const days = [];
+    for (let time = Date.parse(from); time <= Date.parse(to); time += DAY_MS) {
+        days.push(new Date(time).toISOString().slice(0, 10));
+    }
+    return days;
+}
+
+function createFileStore({ dir }) {
+    const fileFor = day => path.join(dir, `${day}.jsonl`);
+
+    return {
+        name: 'file',
+
+        async append(event) {
+            await fs.promises.mkdir(dir, { recursive: true });
+            await fs.promises.appendFile(fileFor(eventDay(event)), `${JSON.stringify(event)}\n`);
+        },
+
+        // Events of the days from..to, oldest first; unparseable lines are skipped
+        async *read({ from, to }) {
+            for (const day of daysBetween(from, to)) {
+                let input;
+                try {
+                    input = fs.createReadStream(fileFor(day), 'utf8');
+                    for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+                        if (!line) continue;
+                        try {
+                            yield JSON.parse(line);
+                        } catch (error) {
+                            log('warn', 'Skipping unreadable analytics line', { day, error: error.message });
+                        }
+                    }
+                } catch (error) {
+                    if (error.code !== 'ENOENT') throw error;
+                } finally {
+                    input?.destroy();
+                }
+            }
+        },
+
+        // Delete the files of days before `day`; returns how many went
+        async prune(day) {
+            let files;
+            try {
+                files = await fs.promises.readdir(dir);
+            } catch (error) {
+                if (error.code === 'ENOENT') return 0;
+                throw error;
+            }
+
+            const expired = files.filter(file => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(file) && file.slice(0, 10) < day);
+            await Promise.all(expired.map(file => fs.promises.unlink(path.join(dir, file))));
+            return expired.length;
+        }
+    };
+}
+
+function createMemoryStore() {
+    let events = [];
+
+    return {
+        name: 'memory',
+
+        async append(event) {
+            events.push(event);
+        },
+
+        async *read({ from, to }) {
+            yield* events.filter(event => eventDay(event) >= from && eventDay(event) <= to);
+        },
+
+        async prune(day) {
+            const days = new Set(events.filter(event => eventDay(event) < day).map(eventDay));
+            events = events.filter(event => eventDay(event) >= day);
+            return days.size;
+        }
+    };
+}
+
+const PROVIDERS = {
+    'file': createFileStore,
+    'memory': createMemoryStore
+};
+
+function createAnalyticsStore(config = getConfig()) {
+    const name = config.analytics.store;
+    const factory = PROVIDERS[name];
+    if (!factory) {
+        throw new Error(`Unknown ANALYTICS_STORE "${name}"; expected one of ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+
+    return factory(config.analytics, config);
+}
+
+function getAnalyticsStore() {
+    if (!store) store = createAnalyticsStore();
+    return store;
+}
+
+// Retention -------------------------------------------------------------------
+
+let prunedOn = null;
+
+// Drop expired days, at most once per day and never in the way of a request
+function pruneExpired(today) {
+    if (prunedOn === today) return;
+    prunedOn = today;
+
+    const cutoff = new Date(Date.parse(today) - (getConfig().analytics.retentionDays - 1) * DAY_MS).toISOString().slice(0, 10);
+    getAnalyticsStore().prune(cutoff)
+        .then(count => {
+            stats.pruned_days += count;
+            if (count) log('info', 'Expired analytics deleted', { days: count, before: cutoff });
+        })
+        .catch(error => log('warn', 'Pruning analytics failed', { error: error.message }));
+}
+
+// Redaction -------------------------------------------------------------------
+
+function maskText(text) {
+    return text.replace(EMAIL_PATTERN, '[email]').replace(PHONE_PATTERN, '[phone]');
+}
+
+function maskValues(value) {
+    if (typeof value === 'string') return maskText(value);
+    if (Array.isArray(value)) return value.map(maskValues);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, maskValues(item)]));
+    }
+    return value;
+}
+
+// Stable per caller, so distinct users and repeat queries still count
+function pseudonym(user) {
+    return `user-${crypto.createHash('sha256').update(String(user).toLowerCase()).digest('hex').slice(0, 12)}`;
+}
+
+// Callers become pseudonyms; free text people typed is masked
+function redact(event) {
+    return {
+        ...event,
+        user: event.user && pseudonym(event.user),
+        ...(event.query !== undefined && { query: maskValues(event.query) }),
+        ...(event.filters !== undefined && { filters: maskValues(event.filters) })
+    };
+}
+
+// Recording -------------------------------------------------------------------
+
+function recordEvent(event) {
+    const settings = getConfig().analytics;
+    if (!settings.enabled) return;
+
+    const stored = settings.redactPii ? redact(event) : event;
+    pruneExpired(eventDay(stored));
+
+    getAnalyticsStore().append(stored)
+        .then(() => stats.events++)
+        .catch(error => {
+            stats.write_errors++;
+            log('warn', 'Recording analytics event failed', { kind: event.kind, error: error.message });
+        });
+}
+
+// Keep the body sent through res.send/res.json (cached responses arrive as a JSON string)
+function captureBody(res) {
+    let body;
+    const send = res.send;
+
+    res.send = function (payload) {
+        body = payload;
+        return send.call(this, payload);
+    };
+
+    return () => {
+        if (typeof body !== 'string') return body ?? null;
+        try {
+            return JSON.parse(body);
+        } catch (error) {
+            return null;
+        }
+    };
+}
+
+// Middleware after requireAuth(): records one `kind` event per request when it finishes.
+// describe(req, body) returns the route's fields; `results` is the number of results (or
+// citations), which flags zero-result queries.
+function recordActivity(kind, describe = () => ({})) {
+    return (req, res, next) => {
+        if (!getConfig().analytics.enabled) return next();
+
+        const startedAt = Date.now();
+        const responseBody = captureBody(res);
+
+        res.on('finish', () => {
+            try {
+                const fields = { ...describe(req, res.statusCode < 400 ? responseBody() : null), ...res.locals.analytics };
+
+                recordEvent({
+                    timestamp: new Date(startedAt).toISOString(),
+                    kind,
+                    route: `${req.method} ${req.route?.path || req.path}`,
+                    user: req.auth?.email || null,
+                    auth_method: req.auth?.method || null,
+                    status: res.statusCode,
+                    latency_ms: Date.now() - startedAt,
+                    cache: res.get('X-Cache') || undefined,
+                    ...fields,
+                    zero_results: res.statusCode < 400 && fields.results === 0
+                });
+            } catch (error) {
+                log('warn', 'Describing analytics event failed', { kind, error: error.message });
+            }
+        });
+
+        next();
+    };
+}
+
+// Reporting -------------------------------------------------------------------
+
+// Queries that differ only in case and spacing are one query
+function normalizeQuery(query) {
+    return String(query).toLowerCase().trim().replace(/\s+/g, ' ');
+}
+
+function countInto(map, key, update) {
+    if (!map.has(key)) map.set(key, {});
+    update(map.get(key));
+}
+
+// The `limit` entries with the highest count, ties in key order
+function top(map, limit, toItem) {
+    return [...map.entries()]
+        .sort(([a, x], [b, y]) => y.count - x.count || a.localeCompare(b))
+        .slice(0, limit)
+        .map(([key, value]) => toItem(key, value));
+}
+
+function percentile(sorted, share) {
+    if (sorted.length === 0) return null;
+    return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * share))];
+}
+
+function periodOf(timestamp, interval) {
+    return interval === 'hour' ? `${timestamp.slice(0, 13)}:00` : timestamp.slice(0, 10);
+}
+
+// /api/admin/analytics: totals, top and zero-result queries, filters and cited documents in
+// use, and activity per day or hour, for the days from..to
+async function getAnalyticsReport({ from, to, kind, interval = 'day', limit = 20 } = {}) {
+    const today = new Date().toISOString().slice(0, 10);
+    const end = to ? String(to).slice(0, 10) : today;
+    const start = from ? String(from).slice(0, 10) : new Date(Date.parse(end) - 29 * DAY_MS).toISOString().slice(0, 10);
+
+    const queries = new Map();
+    const filters = new Map();
+    const documents = new Map();
+    const periods = new Map();
+    const users = new Set();
+    const latencies = [];
+    const totals = { events: 0, errors: 0, zero_results: 0 };
+    const kinds = {};
+
+    for await (const event of getAnalyticsStore().read({ from: start, to: end })) {
+        if (kind && event.kind !== kind) continue;
+
+        totals.events++;
+        kinds[event.kind] = (kinds[event.kind] || 0) + 1;
+        // Streams fail after their 200 went out
+        if (event.status >= 400 || event.error) totals.errors++;
+        if (event.zero_results) totals.zero_results++;
+        if (event.user) users.add(event.user);
+        if (typeof event.latency_ms === 'number') latencies.push(event.latency_ms);
+
+        countInto(periods, periodOf(event.timestamp, interval), period => {
+            period.events = (period.events || 0) + 1;
+            period.zero_results = (period.zero_results || 0) + (event.zero_results ? 1 : 0);
+            period.users = period.users || new Set();
+            if (event.user) period.users.add(event.user);
+        });
+
+        if (event.query && event.status < 400 && !event.error) {
+            countInto(queries, normalizeQuery(event.query), query => {
+                query.count = (query.count || 0) + 1;
+                query.zero_results = (query.zero_results || 0) + (event.zero_results ? 1 : 0);
+                query.results = (query.results || 0) + (event.results || 0);
+                query.kinds = new Set([...(query.kinds || []), event.kind]);
+                query.last_seen = event.timestamp;
+            });
+        }
+
+        Object.keys(event.filters || {}).forEach(field => {
+            countInto(filters, field, filter => {
+                filter.count = (filter.count || 0) + 1;
+            });
+        });
+
+        (event.citations || []).filter(citation => citation.id).forEach(citation => {
+            countInto(documents, citation.id, document => {
+                document.count = (document.count || 0) + 1;
+                document.title = citation.title || document.title;
+            });
+        });
+    }
+
+    latencies.sort((a, b) => a - b);
+
+    const unanswered = new Map([...queries]
+        .filter(([, query]) => query.zero_results > 0)
+        .map(([key, query]) => [key, { ...query, count: query.zero_results, asked: query.count }]));
+
+    return {
+        from: start,
+        to: end,
+        interval,
+        ...(kind && { kind }),
+        totals: {
+            ...totals,
+            by_kind: kinds,
+            users: users.size,
+            avg_latency_ms: latencies.length ? Math.round(latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length) : null,
+            p95_latency_ms: percentile(latencies, 0.95)
+        },
+        top_queries: top(queries, limit, (key, query) => ({
+            query: key,
+            count: query.count,
+            zero_results: query.zero_results,
+            avg_results: Math.round(query.results / query.count * 10) / 10,
+            kinds: [...query.kinds],
+            last_seen: query.last_seen
+        })),
+        // Asked and found nothing (searches) or cited nothing (chat): gaps in the knowledge base
+        zero_result_queries: top(unanswered, limit, (key, query) => ({
+            query: key,
+            count: query.count,
+            asked: query.asked,
+            kinds: [...query.kinds],
+            last_seen: query.last_seen
+        })),
+        filters: top(filters, limit, (key, filter) => ({ field: key, count: filter.count })),
+        cited_documents: top(documents, limit, (key, document) => ({ id: key, title: document.title, count: document.count })),
+        usage_over_time: [...periods.entries()]
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([period, counts]) => ({
+                period,
+                events: counts.events,
+                zero_results: counts.zero_results,
+                users: counts.users.size
+            }))
+    };
+}
+
+// /api/admin/health
+function getAnalyticsStatus() {
+    const settings = getConfig().analytics;
+    return {
+        enabled: settings.enabled,
+        store: settings.store,
+        retention_days: settings.retentionDays,
+        redact_pii: settings.redactPii,
+        ...stats
+    };
+}
+
+module.exports = { createAnalyticsStore, recordActivity, getAnalyticsReport, getAnalyticsStatus };
@@ -0,0 +1,290 @@
+// Authentication: signed bearer tokens (JWT), hashed per-integration API keys
+// and the dashboard session cookie issued after OIDC login.
+//
+// Every identity carries scopes; routes declare the scope they need with requireAuth().
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { jwtVerify, createLocalJWKSet, importSPKI, SignJWT } = require('jose');
+const { log } = require('./log');
+const { getAccessContext } = require('./access');
+const { getConfig } = require('./config');
+
+const SCOPES = ['search', 'chat', 'ingest', 'admin'];
+const SESSION_COOKIE = 'flint_session';
+const SESSION_ISSUER = 'flint-os-session';
+
+let apiKeys = null;
+let jwtKey = null;
+
+function getAllowedDomain() {
+    return getConfig().auth.allowedEmailDomain;
+}
+
+// Scopes granted to people (JWT, session, legacy header) when the token doesn't narrow them
+function defaultUserScopes() {
+    return getConfig().auth.defaultUserScopes;
+}
+
+function authError(status, error, message) {
+    const err = new Error(message);
+    err.statusCode = status;
+    err.publicError = error;
+    return err;
+}
+
+function parseCookies(header) {
+    return (header || '').split(';').reduce((cookies, part) => {
+        const index = part.indexOf('=');
+        if (index > 0) {
+            cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+        }
+        return cookies;
+    }, {});
+}
+
+// API keys -----------------------------------------------------------------
+
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// AUTH_API_KEYS_FILE holds [{ id, name, hash, scopes, email }]; keys themselves are never stored
+function loadApiKeys() {
+    if (apiKeys) return apiKeys;
+
+    const file = getConfig().auth.apiKeysFile;
+    apiKeys = file ? JSON.parse(fs.readFileSync(file, 'utf8')) : [];
+
+    if (!Array.isArray(apiKeys)) {
+        throw new Error(`${file} must contain an array of API key entries`);
+    }
+
+    return apiKeys;
+}
+
+function findApiKey(key) {
+    const hash = Buffer.from(hashApiKey(key), 'hex');
+
+    return loadApiKeys().find(entry => {
+        const stored = Buffer.from(entry.hash || '', 'hex');
+        return stored.length === hash.length && crypto.timingSafeEqual(stored, hash);
+    });
+}
+
+// Bearer tokens -------------------------------------------------------------
+
+// Verification key from AUTH_JWKS_FILE, AUTH_JWT_PUBLIC_KEY(_FILE) or AUTH_JWT_SECRET, in that order
+async function getJwtKey() {
+    if (jwtKey) return jwtKey;
+
+    const { jwt } = getConfig().auth;
+
+    if (jwt.jwksFile) {
+        jwtKey = createLocalJWKSet(JSON.parse(fs.readFileSync(jwt.jwksFile, 'utf8')));
+    } else if (jwt.publicKey || jwt.publicKeyFile) {
+        const pem = jwt.publicKey || fs.readFileSync(jwt.publicKeyFile, 'utf8');
+        jwtKey = await importSPKI(pem, jwt.algorithm);
+    } else if (jwt.secret) {
+        jwtKey = new TextEncoder().encode(jwt.secret);
+    }
+
+    return jwtKey;
+}
+
+// Only a token without a scope claim gets the default scopes; `scope: ""` grants none
+function scopesFromClaims(claims) {
+    const granted = typeof claims.scope === 'string' ? claims.scope.split(' ') : claims.scp;
+    if (!Array.isArray(granted)) return defaultUserScopes();
+    return granted.filter(scope => SCOPES.includes(scope));
+}
+
+async function verifyBearerToken(token) {
+    const key = await getJwtKey();
+    if (!key) {
+        throw authError(401, 'Invalid credentials', 'Bearer tokens are not enabled on this server');
+    }
+
+    const { jwt } = getConfig().auth;
+    const { payload } = await jwtVerify(token, key, {
+        ...(jwt.issuer && { issuer: jwt.issuer }),
+        ...(jwt.audience && { audience: jwt.audience })
+    });
+
+    return {
+        method: 'jwt',
+        email: payload.email || payload.preferred_username || payload.upn,
+        subject: payload.sub,
+        scopes: scopesFromClaims(payload)
+    };
+}
+
+// Dashboard sessions ---------------------------------------------------------
+
+function getSessionSecret() {
+    const { secret } = getConfig().auth.session;
+    if (!secret) {
+        throw new Error('SESSION_SECRET is not configured');
+    }
+    return new TextEncoder().encode(secret);
+}
+
+async function createSessionToken({ email, subject, scopes }) {
+    const ttl = getConfig().auth.session.ttlSeconds;
+
+    const token = await new SignJWT({ email, scope: scopes.join(' ') })
+        .setProtectedHeader({ alg: 'HS256' })
+        .setIssuer(SESSION_ISSUER)
+        .setSubject(subject || email)
+        .setIssuedAt()
+        .setExpirationTime(`${ttl}s`)
+        .sign(getSessionSecret());
+
+    return { token, ttl };
+}
+
+async function verifySessionToken(token) {
+    const { payload } = await jwtVerify(token, getSessionSecret(), {
+        issuer: SESSION_ISSUER,
+        algorithms: ['HS256']
+    });
+
+    return {
+        method: 'session',
+        email: payload.email,
+        subject: payload.sub,
+        scopes: scopesFromClaims(payload)
+    };
+}
+
+function sessionCookie(req, value, maxAge) {
+    const secure = req.secure || getConfig().server.isProduction;
+    return `${SESSION_COOKIE}=${encodeURIComponent(value)}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAge}${secure ? '; Secure' : ''}`;
+}
+
+// Middleware ------------------------------------------------------------------
+
+// Resolve the caller's identity, or null when no credentials were sent
+async function authenticateRequest(req) {
+    const apiKey = req.headers['x-api-key'];
+    if (apiKey) {
+        const entry = findApiKey(apiKey);
+        if (!entry) {
+            throw authError(401, 'Invalid credentials', 'Unknown API key');
+        }
+
+        return {
+            method: 'api_key',
+            email: entry.email || `api-key:${entry.id}`,
+            keyId: entry.id,
+            scopes: entry.scopes || [],
+            groups: entry.groups || []
+        };
+    }
+
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Bearer ')) {
+        return verifyBearerToken(authorization.slice('Bearer '.length).trim());
+    }
+
+    const session = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (session) {
+        return verifySessionToken(session);
+    }
+
+    // Unverified header kept only for migrating old clients; off unless explicitly enabled
+    if (getConfig().auth.allowLegacyEmailHeader && req.headers['x-user-email']) {
+        return {
+            method: 'legacy_header',
+            email: req.headers['x-user-email'],
+            scopes: defaultUserScopes()
+        };
+    }
+
+    return null;
+}
+
+// Sign-ins whose email was proven by an identity provider; the legacy header is only a claim
+const VERIFIED_METHODS = ['jwt', 'session'];
+
+// People listed in AUTH_ADMIN_EMAILS hold the admin scope whatever their credentials grant,
+// but only when they signed in with a verified method
+function withAdminScope(identity) {
+    const admins = getConfig().auth.adminEmails;
+    const isAdmin = VERIFIED_METHODS.includes(identity.method) && admins.includes(String(identity.email).toLowerCase());
+    if (!isAdmin || identity.scopes.includes('admin')) return identity;
+
+    return { ...identity, scopes: [...identity.scopes, 'admin'] };
+}
+
+// requireAuth() with no scope only checks that the caller is authenticated
+function requireAuth(scope) {
+    return async (req, res, next) => {
+        let identity;
+
+        try {
+            identity = await authenticateRequest(req);
+        } catch (error) {
+            log('warn', 'Authentication failed', { error: error.message, url: req.url });
+            return res.status(401).json({
+                error: error.publicError || 'Invalid credentials',
+                message: error.publicError ? error.message : 'The supplied credentials could not be verified'
+            });
+        }
+
+        if (!identity) {
+            return res.status(401).json({
+                error: 'Authentication required',
+                message: 'Send a bearer token or an x-api-key header, or log in at /auth/login'
+            });
+        }
+
+        // People must still belong to the company domain; API keys are scoped by their own entry
+        const allowedDomain = getAllowedDomain();
+        if (identity.method !== 'api_key' && (!identity.email || !identity.email.endsWith(allowedDomain))) {
+            return res.status(401).json({
+                error: 'Unauthorized domain',
+                message: `Please use an email ending with ${allowedDomain}`
+            });
+        }
+
+        identity = withAdminScope(identity);
+
+        if (scope && !identity.scopes.includes(scope)) {
+            return res.status(403).json({
+                error: 'Insufficient scope',
+                message: `This endpoint requires the "${scope}" scope`
+            });
+        }
+
+        req.auth = identity;
+        req.userEmail = identity.email;
+        req.access = getAccessContext(identity);
+        next();
+    };
+}
+
+function getAuthStatus() {
+    const { auth } = getConfig();
+
+    return {
+        api_keys_configured: !!auth.apiKeysFile,
+        jwt_configured: !!(auth.jwt.jwksFile || auth.jwt.publicKey || auth.jwt.publicKeyFile || auth.jwt.secret),
+        oidc_configured: !!(auth.oidc.issuer && auth.oidc.clientId && auth.session.secret),
+        legacy_email_header: auth.allowLegacyEmailHeader
+    };
+}
+
+module.exports = {
+    SCOPES,
+    SESSION_COOKIE,
+    parseCookies,
+    getAllowedDomain,
+    defaultUserScopes,
+    scopesFromClaims,
+    hashApiKey,
+    createSessionToken,
+    sessionCookie,
+    requireAuth,
+    getAuthStatus
+};
@@ -0,0 +1,353 @@
+// Chat backends, selected by CHAT_BACKEND:
+//   rag  - native retrieval-augmented chat over the FLINT OS index
+//   make - forwards the conversation to the Make.com webhook (MAKE_CHAT_WEBHOOK_URL)
+// Defaults to "make" when a webhook URL is configured, so existing deployments keep working.
+
+const axios = require('axios');
+const { log } = require('./log');
+const { searchPinecone } = require('./search');
+const { callUpstream } = require('./resilience');
+const { getConfig } = require('./config');
+
+const MAX_HISTORY_TURNS = 10;
+
+// A streamed answer that sends nothing for this long is abandoned
+const STREAM_IDLE_TIMEOUT_MS = 30000;
+
+const REWRITE_PROMPT = 'Rewrite the user\'s latest message as a standalone search query for a company knowledge base, ' +
+    'resolving pronouns and references using the conversation. Reply with the query only.';
+
+const ANSWER_PROMPT = 'You are the FLINT OS knowledge assistant. Answer using only the numbered sources below. ' +
+    'Cite every claim with the source number in square brackets, like [1] or [2][3]. ' +
+    'If the sources do not contain the answer, say so plainly instead of guessing.';
+
+// Errors caused by missing configuration rather than the upstream service
+function chatNotConfigured(message) {
+    const error = new Error(message);
+    error.statusCode = 500;
+    error.notConfigured = true;
+    return error;
+}
+
+function getChatBackend() {
+    return getConfig().chat.backend;
+}
+
+// Keep well-formed { role, content } turns from the client's history
+function normalizeHistory(history) {
+    if (!Array.isArray(history)) return [];
+
+    return history
+        .filter(turn => ['user', 'assistant'].includes(turn?.role) && typeof turn.content === 'string')
+        .map(turn => ({ role: turn.role, content: turn.content }))
+        .slice(-MAX_HISTORY_TURNS);
+}
+
+// Chat-completion endpoint settings; CHAT_BASE_URL points at Azure or a self-hosted model
+function getCompletionConfig() {
+    const config = getConfig();
+    const { chat } = config;
+    const baseUrl = (chat.baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    const apiKey = chat.apiKey || config.openai.apiKey;
+    const keyHeader = chat.apiKeyHeader;
+
+    if (!apiKey && !chat.baseUrl) {
+        throw chatNotConfigured('Please set CHAT_API_KEY or OPENAI_API_KEY for the rag chat backend');
+    }
+
+    return {
+        url: `${baseUrl}/chat/completions` +
+            (chat.apiVersion ? `?api-version=${encodeURIComponent(chat.apiVersion)}` : ''),
+        headers: {
+            'Content-Type': 'application/json',
+            ...(apiKey && { [keyHeader]: keyHeader === 'Authorization' ? `Bearer ${apiKey}` : apiKey })
+        },
+        model: chat.model
+    };
+}
+
+async function createChatCompletion(messages, { temperature = 0.2, signal } = {}) {
+    const { url, headers, model } = getCompletionConfig();
+
+    const response = await callUpstream('chat', () => axios.post(url, {
+        model,
+        messages,
+        temperature
+    }, {
+        headers,
+        signal,
+        timeout: 30000
+    }), { operation: 'completion' });
+
+    return {
+        content: response.data.choices?.[0]?.message?.content?.trim() || '',
+        usage: response.data.usage || null
+    };
+}
+
+function streamIdleError() {
+    const error = new Error(`Chat model sent nothing for ${STREAM_IDLE_TIMEOUT_MS / 1000}s`);
+    // What axios reports for its own timeouts, so callers treat both alike
+    error.code = 'ECONNABORTED';
+    return error;
+}
+
+// Stream a chat completion, calling onToken for each content delta
+async function streamChatCompletion(messages, { signal, onToken, temperature = 0.2 } = {}) {
+    const { url, headers, model } = getCompletionConfig();
+
+    // Cancels the request when the caller's signal fires or the stream goes idle
+    const controller = new AbortController();
+    const cancel = () => controller.abort();
+    if (signal?.aborted) cancel();
+    signal?.addEventListener('abort', cancel, { once: true });
+
+    let idleTimer = null;
+
+    try {
+        // Only opening the stream is retried and timed as the upstream call; a stream that breaks off fails the answer.
+        // axios' timeout stops counting once the response starts, so the gaps between chunks get their own timer.
+        const response = await callUpstream('chat', () => axios.post(url, {
+            model,
+            messages,
+            temperature,
+            stream: true,
+            stream_options: { include_usage: true }
+        }, {
+            headers,
+            responseType: 'stream',
+            signal: controller.signal,
+            timeout: STREAM_IDLE_TIMEOUT_MS
+        }), { operation: 'completion_stream' });
+
+        const resetIdleTimer = () => {
+            clearTimeout(idleTimer);
+            idleTimer = setTimeout(() => {
+                response.data.destroy(streamIdleError());
+                cancel();
+            }, STREAM_IDLE_TIMEOUT_MS);
+        };
+
+        let content = '';
+        let usage = null;
+        let buffer = '';
+
+        resetIdleTimer();
+        for await (const chunk of response.data) {
+            resetIdleTimer();
+            buffer += chunk.toString('utf8');
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+
+            for (const line of lines) {
+                const trimmed = line.trim();
+                if (!trimmed.startsWith('data:')) continue;
+
+                const data = trimmed.slice('data:'.length).trim();
+                if (data === '[DONE]') continue;
+
+                // Some OpenAI-compatible servers interleave keep-alives or vendor lines; skip them
+                let event;
+                try {
+                    event = JSON.parse(data);
+                } catch (error) {
+                    log('warn', 'Skipping unparseable chat stream event', { data: data.slice(0, 200) });
+                    continue;
+                }
+
+                const delta = event.choices?.[0]?.delta?.content;
+
+                if (delta) {
+                    content += delta;
+                    onToken(delta);
+                }
+                if (event.usage) usage = event.usage;
+            }
+        }
+
+        return { content, usage };
+    } finally {
+        clearTimeout(idleTimer);
+        signal?.removeEventListener('abort', cancel);
+    }
+}
+
+// Turn a follow-up like "what about the second one?" into a self-contained query
+async function rewriteQuery(message, history, signal) {
+    if (history.length === 0) return message;
+
+    const transcript = history
+        .map(turn => `${turn.role}: ${turn.content}`)
+        .concat(`user: ${message}`)
+        .join('\n');
+
+    const { content } = await createChatCompletion([
+        { role: 'system', content: REWRITE_PROMPT },
+        { role: 'user', content: transcript }
+    ], { temperature: 0, signal });
+
+    return content || message;
+}
+
+function buildSources(matches) {
+    return matches.map((match, i) => ({
+        number: i + 1,
+        id: match.id,
+        title: match.metadata?.title || match.metadata?.label || 'Untitled',
+        date: match.metadata?.date_ended || null,
+        url: match.metadata?.url || null,
+        score: match.score,
+        text: match.metadata?.chunk_text || match.metadata?.discussion || ''
+    }));
+}
+
+function buildAnswerMessages(message, history, sources) {
+    const context = sources.length
+        ? sources.map(source => `[${source.number}] ${source.title}${source.date ? ` (${source.date})` : ''}\n${source.text}`).join('\n\n')
+        : 'No sources were found for this question.';
+
+    return [
+        { role: 'system', content: `${ANSWER_PROMPT}\n\nSources:\n${context}` },
+        ...history,
+        { role: 'user', content: message }
+    ];
+}
+
+// Sources the answer actually cites, in citation-number order
+function extractCitations(answer, sources) {
+    const cited = new Set([...answer.matchAll(/\[(\d+)\]/g)].map(match => parseInt(match[1])));
+
+    return sources
+        .filter(source => cited.has(source.number))
+        .map(({ number, id, title, url, score }) => ({ number, id, title, url, score }));
+}
+
+// Rewrite, retrieve and assemble the grounded prompt; `signal` stops it between (and, where
+// the upstream call allows, during) its steps
+async function prepareRagChat({ message, conversationHistory, filters = {}, collections, access }, signal) {
+    const history = normalizeHistory(conversationHistory);
+    const query = await rewriteQuery(message, history, signal);
+    const { topK } = getConfig().chat;
+
+    signal?.throwIfAborted();
+    const matches = await searchPinecone(query, filters, { topK, access, collections, rerank: true, signal });
+    const sources = buildSources(matches);
+
+    return { query, sources, messages: buildAnswerMessages(message, history, sources) };
+}
+
+async function ragChat({ message, conversationHistory, filters, collections, access }) {
+    const { query, sources, messages } = await prepareRagChat({ message, conversationHistory, filters, collections, access });
+    const { content, usage } = await createChatCompletion(messages);
+
+    return {
+        response: content,
+        citations: extractCitations(content, sources),
+        sources: sources.map(({ text, ...source }) => source),
+        query,
+        usage
+    };
+}
+
+async function makeChat({ message, conversationHistory, userEmail }, { signal } = {}) {
+    // Forward to your Make.com webhook
+    const { makeWebhookUrl } = getConfig().chat;
+
+    if (!makeWebhookUrl) {
+        throw chatNotConfigured('Please set MAKE_CHAT_WEBHOOK_URL environment variable');
+    }
+
+    // A scenario that ran may have had side effects, so only refused calls are retried
+    const response = await callUpstream('make', () => axios.post(makeWebhookUrl, {
+        message,
+        conversation_history: conversationHistory || [],
+        timestamp: new Date().toISOString(),
+        source: "flint_os_dashboard",
+        user_email: userEmail
+    }, {
+        signal,
+        timeout: 30000,
+        headers: {
+            'Content-Type': 'application/json'
+        }
+    }), { idempotent: false, operation: 'webhook' });
+
+    // Handle different response formats from Make.com
+    let chatResponse = '';
+    if (typeof response.data === 'string') {
+        chatResponse = response.data;
+    } else if (response.data.response) {
+        chatResponse = response.data.response;
+    } else if (response.data.message) {
+        chatResponse = response.data.message;
+    } else if (response.data.reply) {
+        chatResponse = response.data.reply;
+    } else {
+        chatResponse = JSON.stringify(response.data);
+    }
+
+    return { response: chatResponse };
+}
+
+// Streaming variant: sources are reported before the answer starts
+async function ragChatStream({ message, conversationHistory, filters, collections, access }, { signal, onSources, onToken }) {
+    const { query, sources, messages } = await prepareRagChat({ message, conversationHistory, filters, collections, access }, signal);
+    const publicSources = sources.map(({ text, ...source }) => source);
+
+    onSources(publicSources, query);
+
+    const { content, usage } = await streamChatCompletion(messages, { signal, onToken });
+
+    return {
+        response: content,
+        citations: extractCitations(content, sources),
+        query,
+        usage
+    };
+}
+
+// Make.com can't stream, so the whole reply arrives as a single token
+async function makeChatStream(request, { signal, onSources, onToken }) {
+    onSources([], null);
+
+    const result = await makeChat(request, { signal });
+    onToken(result.response);
+
+    return result;
+}
+
+const CHAT_BACKENDS = {
+    rag: ragChat,
+    make: makeChat
+};
+
+const STREAMING_CHAT_BACKENDS = {
+    rag: ragChatStream,
+    make: makeChatStream
+};
+
+async function chat(request) {
+    const backend = getChatBackend();
+    const handler = CHAT_BACKENDS[backend];
+
+    if (!handler) {
+        throw chatNotConfigured(`Unknown CHAT_BACKEND "${backend}"; expected one of ${Object.keys(CHAT_BACKENDS).join(', ')}`);
+    }
+
+    const result = await handler(request);
+    return { ...result, backend };
+}
+
+async function chatStream(request, callbacks) {
+    const backend = getChatBackend();
+    const handler = STREAMING_CHAT_BACKENDS[backend];
+
+    if (!handler) {
+        throw chatNotConfigured(`Unknown CHAT_BACKEND "${backend}"; expected one of ${Object.keys(STREAMING_CHAT_BACKENDS).join(', ')}`);
+    }
+
+    const result = await handler(request, callbacks);
+    return { ...result, backend };
+}
+
+module.exports = { getChatBackend, chat, chatStream };
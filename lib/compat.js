@@ -0,0 +1,26 @@
+// Response contracts of retired endpoints, kept byte-for-byte for old clients.
+// Each formatter takes what the shared code path returns and rebuilds the old shape;
+// new fields go into /api/* responses, never here.
+
+// POST /search, v1: the original transcript search
+const legacySearchV1 = {
+    version: 'legacy-search-1',
+    topK: 10,
+    collections: 'transcripts',
+    formatResponse: (matches, query) => {
+        const results = matches.map(match => ({
+            id: match.id,
+            text: match.metadata?.text || 'No content available',
+            score: match.score,
+            metadata: match.metadata || {}
+        }));
+
+        return {
+            results,
+            query,
+            total: results.length
+        };
+    }
+};
+
+module.exports = { legacySearchV1 };
@@ -0,0 +1,553 @@
+// Centralized configuration
+//
+// Settings come from the environment, with `.env` loaded through dotenv and an
+// optional JSON file (CONFIG_FILE) of the same variable names underneath it:
+// real environment variables win over .env, which wins over the file.
+// Nothing else in the server reads process.env.
+
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const { resolveMapping } = require('./notionSchema');
+
+// Settings /api/admin/health must never show; a Make.com webhook URL is itself the credential
+const SECRET_KEYS = new Set(['apiKey', 'secret', 'token', 'clientSecret', 'publicKey', 'metricsToken', 'otlpHeaders', 'makeWebhookUrl']);
+
+// Outbound services with their own retry budget, concurrency limit and circuit breaker
+const UPSTREAMS = ['embedding', 'chat', 'pinecone', 'notion', 'make', 'rerank'];
+
+let config = null;
+
+function readConfigFile(file) {
+    const values = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+        throw new Error(`${file} must contain a JSON object of setting names to values`);
+    }
+
+    return Object.fromEntries(Object.entries(values).map(([key, value]) => [key, String(value)]));
+}
+
+// Merge the sources into one flat map of setting name -> string
+function loadEnvironment(env = process.env) {
+    const dotenvValues = fs.existsSync('.env') ? dotenv.parse(fs.readFileSync('.env')) : {};
+    const configFile = env.CONFIG_FILE || dotenvValues.CONFIG_FILE;
+    const fileValues = configFile ? readConfigFile(configFile) : {};
+
+    return { ...fileValues, ...dotenvValues, ...env };
+}
+
+function buildConfig(env) {
+    const problems = [];
+
+    const str = (name, fallback = null) => (env[name] !== undefined && env[name] !== '' ? env[name] : fallback);
+
+    const int = (name, fallback = null) => {
+        const value = str(name);
+        if (value === null) return fallback;
+        const parsed = Number(value);
+        if (!Number.isInteger(parsed) || parsed < 0) {
+            problems.push(`${name} must be a non-negative integer (got "${value}")`);
+            return fallback;
+        }
+        return parsed;
+    };
+
+    const num = (name, fallback = null) => {
+        const value = str(name);
+        if (value === null) return fallback;
+        const parsed = Number(value);
+        if (!Number.isFinite(parsed) || parsed < 0) {
+            problems.push(`${name} must be a non-negative number (got "${value}")`);
+            return fallback;
+        }
+        return parsed;
+    };
+
+    const bool = (name) => str(name) === 'true';
+    const list = (name, fallback) => (str(name) || fallback).split(',').map(item => item.trim()).filter(Boolean);
+
+    const transcriptsConfigured = !!(str('PINECONE_API_KEY') || str('PINECONE_INDEX_HOST'));
+
+    const built = {
+        server: {
+            port: int('PORT', 3010),
+            nodeEnv: str('NODE_ENV', 'development'),
+            isProduction: str('NODE_ENV') === 'production',
+            // Base URL written into /openapi.json and the TypingMind plugin; the plugin manifest requires it
+            publicUrl: str('PUBLIC_BASE_URL'),
+            // Origins allowed credentialed (cookie) requests once dashboard sessions are on
+            corsOrigins: list('CORS_ORIGINS', '').map(origin => origin.replace(/\/+$/, ''))
+        },
+        openai: {
+            apiKey: str('OPENAI_API_KEY')
+        },
+        auth: {
+            allowedEmailDomain: str('ALLOWED_EMAIL_DOMAIN', '@flintbuilders.com'),
+            defaultUserScopes: list('AUTH_DEFAULT_USER_SCOPES', 'search,chat,ingest'),
+            // People granted the admin scope on top of their own
+            adminEmails: list('AUTH_ADMIN_EMAILS', '').map(email => email.toLowerCase()),
+            allowLegacyEmailHeader: bool('AUTH_ALLOW_LEGACY_EMAIL_HEADER'),
+            apiKeysFile: str('AUTH_API_KEYS_FILE'),
+            jwt: {
+                secret: str('AUTH_JWT_SECRET'),
+                publicKey: str('AUTH_JWT_PUBLIC_KEY'),
+                publicKeyFile: str('AUTH_JWT_PUBLIC_KEY_FILE'),
+                jwksFile: str('AUTH_JWKS_FILE'),
+                algorithm: str('AUTH_JWT_ALGORITHM', 'RS256'),
+                issuer: str('AUTH_JWT_ISSUER'),
+                audience: str('AUTH_JWT_AUDIENCE')
+            },
+            session: {
+                secret: str('SESSION_SECRET'),
+                ttlSeconds: int('SESSION_TTL_SECONDS', 8 * 60 * 60)
+            },
+            oidc: {
+                issuer: str('OIDC_ISSUER'),
+                clientId: str('OIDC_CLIENT_ID'),
+                clientSecret: str('OIDC_CLIENT_SECRET'),
+                redirectUri: str('OIDC_REDIRECT_URI')
+            }
+        },
+        acl: {
+            groupsFile: str('ACL_GROUPS_FILE'),
+            notionProperty: str('NOTION_ACL_PROPERTY')
+        },
+        pinecone: {
+            flintOs: {
+                apiKey: str('FLINT_OS_PINECONE_API_KEY'),
+                indexHost: str('FLINT_OS_PINECONE_INDEX_HOST')
+            },
+            transcripts: {
+                apiKey: str('PINECONE_API_KEY'),
+                indexHost: str('PINECONE_INDEX_HOST')
+            },
+            collectionsFile: str('PINECONE_COLLECTIONS_FILE'),
+            // Searches without a "collections" parameter cover these
+            defaultCollections: list('PINECONE_DEFAULT_COLLECTIONS', transcriptsConfigured ? 'knowledge,transcripts' : 'knowledge'),
+            collections: {}
+        },
+        notion: {
+            token: str('NOTION_API_TOKEN'),
+            databaseId: str('NOTION_DATABASE_ID'),
+            databasesFile: str('NOTION_DATABASES_FILE'),
+            // Notion endpoints without a "database" parameter read this one
+            defaultDatabase: str('NOTION_DEFAULT_DATABASE'),
+            databases: {},
+            sync: {
+                intervalMinutes: num('NOTION_SYNC_INTERVAL_MINUTES', 0),
+                stateFile: str('NOTION_SYNC_STATE_FILE', path.join(__dirname, '..', '.data', 'notion-sync-state.json'))
+            }
+        },
+        embedding: {
+            provider: str('EMBEDDING_PROVIDER', 'openai'),
+            model: str('EMBEDDING_MODEL'),
+            dimension: int('EMBEDDING_DIMENSION'),
+            maxTokens: int('EMBEDDING_MAX_TOKENS'),
+            baseUrl: str('EMBEDDING_BASE_URL'),
+            apiKey: str('EMBEDDING_API_KEY'),
+            apiKeyHeader: str('EMBEDDING_API_KEY_HEADER', 'Authorization'),
+            apiVersion: str('EMBEDDING_API_VERSION'),
+            cache: {
+                size: int('EMBEDDING_CACHE_SIZE', 1000),
+                dir: str('EMBEDDING_CACHE_DIR'),
+                // The disk tier keeps at most this many vectors, none unused for longer than the TTL
+                diskMaxEntries: int('EMBEDDING_CACHE_DISK_MAX_ENTRIES', 50000),
+                diskTtlDays: int('EMBEDDING_CACHE_DISK_TTL_DAYS', 30)
+            }
+        },
+        rerank: {
+            enabled: str('RERANK_ENABLED', 'true') !== 'false',
+            // Matches reranked per search; pages within the pool keep a stable order
+            pool: int('RERANK_POOL', 200),
+            weights: {
+                semantic: num('RERANK_WEIGHT_SEMANTIC', 1),
+                recency: num('RERANK_WEIGHT_RECENCY', 0.3),
+                importance: num('RERANK_WEIGHT_IMPORTANCE', 0.2),
+                reranker: num('RERANK_WEIGHT_RERANKER', 1)
+            },
+            recencyHalfLifeDays: num('RERANK_RECENCY_HALF_LIFE_DAYS', 30),
+            // Optional second stage over the top candidates: none, http or local
+            provider: str('RERANK_PROVIDER', 'none'),
+            candidates: int('RERANK_CANDIDATES', 50),
+            url: str('RERANK_URL'),
+            apiKey: str('RERANK_API_KEY'),
+            apiKeyHeader: str('RERANK_API_KEY_HEADER', 'Authorization'),
+            model: str('RERANK_MODEL')
+        },
+        recent: {
+            // How long /api/recent trusts its snapshot of record metadata before re-listing
+            refreshSeconds: int('RECENT_REFRESH_SECONDS', 300),
+            // Largest collection kept as a snapshot; bigger ones are queried per request instead
+            maxRecords: int('RECENT_MAX_RECORDS', 20000)
+        },
+        responseCache: {
+            enabled: str('RESPONSE_CACHE_ENABLED', 'true') !== 'false',
+            maxEntries: int('RESPONSE_CACHE_MAX_ENTRIES', 500),
+            // Seconds a cached response is served as fresh: Pinecone searches, the recent
+            // feeds, and Notion searches and listings
+            ttlSeconds: {
+                search: int('RESPONSE_CACHE_SEARCH_TTL_SECONDS', 60),
+                recent: int('RESPONSE_CACHE_RECENT_TTL_SECONDS', 30),
+                notion: int('RESPONSE_CACHE_NOTION_TTL_SECONDS', 120)
+            },
+            // How long past its TTL a recent feed is still served while it refreshes in the background
+            staleSeconds: int('RESPONSE_CACHE_STALE_SECONDS', 300)
+        },
+        // Token buckets per caller and route group (the scope a route requires), and daily
+        // quotas; 0 disables a limit. See lib/rateLimit.js.
+        rateLimit: {
+            enabled: str('RATE_LIMIT_ENABLED', 'true') !== 'false',
+            // memory (per process) or module: RATE_LIMIT_STORE_MODULE exports createRateLimitStore(settings)
+            store: str('RATE_LIMIT_STORE', 'memory'),
+            storeModule: str('RATE_LIMIT_STORE_MODULE'),
+            groups: {
+                search: { perMinute: int('RATE_LIMIT_SEARCH_PER_MINUTE', 60), burst: int('RATE_LIMIT_SEARCH_BURST', 20) },
+                chat: { perMinute: int('RATE_LIMIT_CHAT_PER_MINUTE', 10), burst: int('RATE_LIMIT_CHAT_BURST', 5) },
+                ingest: { perMinute: int('RATE_LIMIT_INGEST_PER_MINUTE', 30), burst: int('RATE_LIMIT_INGEST_BURST', 10) },
+                admin: { perMinute: int('RATE_LIMIT_ADMIN_PER_MINUTE', 30), burst: int('RATE_LIMIT_ADMIN_BURST', 10) }
+            },
+            quotas: {
+                embeddingTokensPerDay: int('QUOTA_EMBEDDING_TOKENS_PER_DAY', 500000),
+                chatMessagesPerDay: int('QUOTA_CHAT_MESSAGES_PER_DAY', 300)
+            }
+        },
+        // Audit log and query analytics (lib/analytics.js)
+        analytics: {
+            enabled: str('ANALYTICS_ENABLED', 'true') !== 'false',
+            // file (one JSON-lines file per day under ANALYTICS_DIR) or memory (this process only)
+            store: str('ANALYTICS_STORE', 'file'),
+            dir: str('ANALYTICS_DIR', path.join(__dirname, '..', '.data', 'analytics')),
+            retentionDays: int('ANALYTICS_RETENTION_DAYS', 90),
+            // Store callers as pseudonyms and mask emails and phone numbers in queries
+            redactPii: bool('ANALYTICS_REDACT_PII')
+        },
+        // Prometheus metrics (lib/metrics.js) and OpenTelemetry trace export (lib/tracing.js)
+        telemetry: {
+            metricsEnabled: str('METRICS_ENABLED', 'true') !== 'false',
+            // GET /metrics takes "Authorization: Bearer <METRICS_TOKEN>"; unset, it takes admin credentials
+            metricsToken: str('METRICS_TOKEN'),
+            serviceName: str('OTEL_SERVICE_NAME', 'flint-os-api'),
+            tracesEndpoint: str('OTEL_EXPORTER_OTLP_TRACES_ENDPOINT') ||
+                (str('OTEL_EXPORTER_OTLP_ENDPOINT') ? `${str('OTEL_EXPORTER_OTLP_ENDPOINT').replace(/\/+$/, '')}/v1/traces` : null),
+            // "key=value,key=value", e.g. the collector's API key
+            otlpHeaders: Object.fromEntries(list('OTEL_EXPORTER_OTLP_HEADERS', '')
+                .map(pair => pair.split('='))
+                .filter(([key, value]) => key && value !== undefined)
+                .map(([key, ...value]) => [key.trim(), decodeURIComponent(value.join('=').trim())])),
+            sampleRatio: num('OTEL_TRACES_SAMPLE_RATIO', 1)
+        },
+        // Retries, concurrency and circuit breakers around outbound calls (lib/resilience.js).
+        // UPSTREAM_<NAME>_RETRIES and UPSTREAM_<NAME>_CONCURRENCY override the defaults per upstream.
+        resilience: {
+            retryBaseMs: int('UPSTREAM_RETRY_BASE_MS', 250),
+            retryMaxMs: int('UPSTREAM_RETRY_MAX_MS', 4000),
+            // A longer Retry-After fails the call instead of holding the request
+            maxRetryAfterSeconds: int('UPSTREAM_MAX_RETRY_AFTER_SECONDS', 20),
+            breakerThreshold: int('UPSTREAM_BREAKER_THRESHOLD', 5),
+            breakerResetSeconds: int('UPSTREAM_BREAKER_RESET_SECONDS', 30),
+            upstreams: Object.fromEntries(UPSTREAMS.map(name => {
+                const prefix = `UPSTREAM_${name.toUpperCase()}`;
+                return [name, {
+                    retries: int(`${prefix}_RETRIES`, int('UPSTREAM_RETRIES', 2)),
+                    concurrency: int(`${prefix}_CONCURRENCY`, int('UPSTREAM_CONCURRENCY', 8))
+                }];
+            }))
+        },
+        chat: {
+            // Existing deployments with a webhook keep the Make.com proxy unless told otherwise
+            backend: str('CHAT_BACKEND', str('MAKE_CHAT_WEBHOOK_URL') ? 'make' : 'rag'),
+            baseUrl: str('CHAT_BASE_URL'),
+            apiKey: str('CHAT_API_KEY'),
+            apiKeyHeader: str('CHAT_API_KEY_HEADER', 'Authorization'),
+            apiVersion: str('CHAT_API_VERSION'),
+            model: str('CHAT_MODEL', 'gpt-4o-mini'),
+            topK: int('CHAT_TOP_K', 6),
+            makeWebhookUrl: str('MAKE_CHAT_WEBHOOK_URL')
+        }
+    };
+
+    built.pinecone.collections = resolveCollections(built.pinecone, problems);
+    built.notion.databases = resolveNotionDatabases(built.notion, problems);
+    built.notion.defaultDatabase = built.notion.defaultDatabase || Object.keys(built.notion.databases)[0] || null;
+
+    return { config: built, problems };
+}
+
+// Named Pinecone collections: the built-in "knowledge" and "transcripts" indexes plus
+// PINECONE_COLLECTIONS_FILE entries. An entry either names its own indexHost/apiKey or
+// borrows them from another collection with "collection":
+//   { "acme": { "collection": "knowledge", "namespace": "client-acme" } }
+// "sourceType" marks every vector of a collection whose metadata carries no source_type,
+// as with the transcript index.
+function resolveCollections(pinecone, problems) {
+    const collections = {
+        knowledge: { ...pinecone.flintOs, namespace: '__default__', sourceType: null }
+    };
+
+    if (pinecone.transcripts.apiKey || pinecone.transcripts.indexHost) {
+        collections.transcripts = { ...pinecone.transcripts, namespace: '__default__', sourceType: 'Transcript' };
+    }
+
+    if (!pinecone.collectionsFile) return collections;
+
+    let entries;
+    try {
+        entries = JSON.parse(fs.readFileSync(pinecone.collectionsFile, 'utf8'));
+    } catch (error) {
+        problems.push(`PINECONE_COLLECTIONS_FILE could not be read: ${error.message}`);
+        return collections;
+    }
+
+    Object.entries(entries).forEach(([name, entry]) => {
+        const base = entry.collection ? collections[entry.collection] : {};
+
+        if (!base) {
+            problems.push(`Collection "${name}" refers to unknown collection "${entry.collection}"`);
+            return;
+        }
+
+        collections[name] = {
+            apiKey: entry.apiKey || base.apiKey,
+            indexHost: entry.indexHost || base.indexHost,
+            namespace: entry.namespace || base.namespace || '__default__',
+            sourceType: entry.sourceType || base.sourceType || null
+        };
+    });
+
+    return collections;
+}
+
+// Named Notion databases: "knowledge" from NOTION_API_TOKEN / NOTION_DATABASE_ID plus
+// NOTION_DATABASES_FILE entries, each with its own property mapping (lib/notionSchema.js)
+// and the collection its pages sync into:
+//   { "projects": { "databaseId": "...", "collection": "knowledge", "mapping": { "summary": "Notes" } } }
+// "token" defaults to NOTION_API_TOKEN; an entry named "knowledge" adjusts the built-in one.
+function resolveNotionDatabases(notion, problems) {
+    const databases = {};
+
+    if (notion.databaseId) {
+        databases.knowledge = {
+            token: notion.token,
+            databaseId: notion.databaseId,
+            collection: 'knowledge',
+            mapping: resolveMapping({}, 'knowledge', problems)
+        };
+    }
+
+    if (!notion.databasesFile) return databases;
+
+    let entries;
+    try {
+        entries = JSON.parse(fs.readFileSync(notion.databasesFile, 'utf8'));
+    } catch (error) {
+        problems.push(`NOTION_DATABASES_FILE could not be read: ${error.message}`);
+        return databases;
+    }
+
+    Object.entries(entries).forEach(([name, entry]) => {
+        const base = databases[name] || {};
+
+        databases[name] = {
+            token: entry.token || base.token || notion.token,
+            databaseId: entry.databaseId || base.databaseId,
+            collection: entry.collection || base.collection || 'knowledge',
+            mapping: resolveMapping(entry.mapping || {}, name, problems)
+        };
+    });
+
+    return databases;
+}
+
+// Required settings for each enabled feature; returns human-readable problems
+function validateFeatures(cfg) {
+    const problems = [];
+    const requireAll = (feature, settings) => {
+        const missing = Object.entries(settings).filter(([, value]) => !value).map(([name]) => name);
+        if (missing.length) problems.push(`${feature} requires ${missing.join(', ')}`);
+    };
+    const requireFile = (name, file) => {
+        if (file && !fs.existsSync(file)) problems.push(`${name} points to a missing file: ${file}`);
+    };
+
+    requireAll('Knowledge search', {
+        FLINT_OS_PINECONE_API_KEY: cfg.pinecone.flintOs.apiKey,
+        FLINT_OS_PINECONE_INDEX_HOST: cfg.pinecone.flintOs.indexHost
+    });
+
+    if (cfg.pinecone.transcripts.apiKey || cfg.pinecone.transcripts.indexHost) {
+        requireAll('Legacy transcript search', {
+            PINECONE_API_KEY: cfg.pinecone.transcripts.apiKey,
+            PINECONE_INDEX_HOST: cfg.pinecone.transcripts.indexHost
+        });
+    }
+
+    Object.entries(cfg.pinecone.collections).forEach(([name, collection]) => {
+        if (name !== 'knowledge' && name !== 'transcripts') {
+            requireAll(`Collection "${name}"`, { apiKey: collection.apiKey, indexHost: collection.indexHost });
+        }
+    });
+
+    cfg.pinecone.defaultCollections
+        .filter(name => !cfg.pinecone.collections[name])
+        .forEach(name => problems.push(`PINECONE_DEFAULT_COLLECTIONS names unknown collection "${name}"`));
+
+    if (cfg.server.publicUrl && !/^https?:\/\/[^/]+/.test(cfg.server.publicUrl)) {
+        problems.push(`PUBLIC_BASE_URL must be an http(s) URL (got "${cfg.server.publicUrl}")`);
+    }
+
+    cfg.server.corsOrigins
+        .filter(origin => !/^https?:\/\/[^/]+$/.test(origin))
+        .forEach(origin => problems.push(`CORS_ORIGINS entries must be origins like https://app.example.com (got "${origin}")`));
+
+    const { embedding } = cfg;
+    if (embedding.provider === 'openai') {
+        requireAll('The openai embedding provider', { OPENAI_API_KEY: cfg.openai.apiKey });
+    } else if (embedding.provider === 'openai-compatible') {
+        requireAll('The openai-compatible embedding provider', {
+            EMBEDDING_BASE_URL: embedding.baseUrl,
+            EMBEDDING_DIMENSION: embedding.dimension
+        });
+    } else if (embedding.provider !== 'local') {
+        problems.push(`EMBEDDING_PROVIDER must be one of openai, openai-compatible, local (got "${embedding.provider}")`);
+    }
+
+    const { notion } = cfg;
+    if (notion.token && Object.keys(notion.databases).length === 0) {
+        problems.push('NOTION_API_TOKEN is set but no database is: set NOTION_DATABASE_ID or NOTION_DATABASES_FILE');
+    }
+
+    Object.entries(notion.databases).forEach(([name, database]) => {
+        // token falls back to NOTION_API_TOKEN
+        requireAll(`Notion database "${name}"`, { token: database.token, databaseId: database.databaseId });
+        if (!cfg.pinecone.collections[database.collection]) {
+            problems.push(`Notion database "${name}" syncs into unknown collection "${database.collection}"`);
+        }
+    });
+
+    if (notion.defaultDatabase && !notion.databases[notion.defaultDatabase]) {
+        problems.push(`NOTION_DEFAULT_DATABASE names unknown database "${notion.defaultDatabase}"`);
+    }
+    if (notion.sync.intervalMinutes && Object.keys(notion.databases).length === 0) {
+        problems.push('NOTION_SYNC_INTERVAL_MINUTES requires NOTION_API_TOKEN and NOTION_DATABASE_ID (or NOTION_DATABASES_FILE)');
+    }
+
+    const { rerank } = cfg;
+    if (rerank.provider === 'http') {
+        requireAll('The http rerank provider', { RERANK_URL: rerank.url });
+    } else if (!['none', 'local'].includes(rerank.provider)) {
+        problems.push(`RERANK_PROVIDER must be one of none, http, local (got "${rerank.provider}")`);
+    }
+    if (rerank.recencyHalfLifeDays === 0) {
+        problems.push('RERANK_RECENCY_HALF_LIFE_DAYS must be greater than 0');
+    }
+    if (rerank.pool === 0 || rerank.pool > 1000) {
+        problems.push(`RERANK_POOL must be between 1 and 1000, Pinecone's query maximum (got ${rerank.pool})`);
+    }
+
+    const { rateLimit } = cfg;
+    if (rateLimit.store === 'module') {
+        requireAll('RATE_LIMIT_STORE=module', { RATE_LIMIT_STORE_MODULE: rateLimit.storeModule });
+    } else if (rateLimit.store !== 'memory') {
+        problems.push(`RATE_LIMIT_STORE must be one of memory, module (got "${rateLimit.store}")`);
+    }
+    requireFile('RATE_LIMIT_STORE_MODULE', rateLimit.storeModule);
+    Object.entries(rateLimit.groups).forEach(([group, limits]) => {
+        if (limits.perMinute > 0 && limits.burst === 0) {
+            problems.push(`RATE_LIMIT_${group.toUpperCase()}_BURST must be at least 1 when RATE_LIMIT_${group.toUpperCase()}_PER_MINUTE is set`);
+        }
+    });
+
+    const { analytics } = cfg;
+    if (!['file', 'memory'].includes(analytics.store)) {
+        problems.push(`ANALYTICS_STORE must be one of file, memory (got "${analytics.store}")`);
+    }
+    if (analytics.retentionDays === 0) {
+        problems.push('ANALYTICS_RETENTION_DAYS must be at least 1');
+    }
+
+    const { telemetry } = cfg;
+    if (telemetry.sampleRatio > 1) {
+        problems.push(`OTEL_TRACES_SAMPLE_RATIO must be between 0 and 1 (got ${telemetry.sampleRatio})`);
+    }
+
+    const { resilience } = cfg;
+    Object.entries(resilience.upstreams).forEach(([name, settings]) => {
+        if (settings.concurrency === 0) {
+            problems.push(`UPSTREAM_${name.toUpperCase()}_CONCURRENCY (or UPSTREAM_CONCURRENCY) must be at least 1`);
+        }
+    });
+    if (resilience.breakerThreshold === 0) {
+        problems.push('UPSTREAM_BREAKER_THRESHOLD must be at least 1');
+    }
+
+    if (cfg.chat.backend === 'make') {
+        requireAll('The make chat backend', { MAKE_CHAT_WEBHOOK_URL: cfg.chat.makeWebhookUrl });
+    } else if (cfg.chat.backend === 'rag') {
+        if (!cfg.chat.baseUrl && !cfg.chat.apiKey && !cfg.openai.apiKey) {
+            problems.push('The rag chat backend requires CHAT_API_KEY or OPENAI_API_KEY (or CHAT_BASE_URL for a keyless model)');
+        }
+    } else {
+        problems.push(`CHAT_BACKEND must be one of rag, make (got "${cfg.chat.backend}")`);
+    }
+
+    const { auth } = cfg;
+    const jwtConfigured = !!(auth.jwt.secret || auth.jwt.publicKey || auth.jwt.publicKeyFile || auth.jwt.jwksFile);
+    const oidcStarted = !!(auth.oidc.issuer || auth.oidc.clientId);
+
+    if (oidcStarted) {
+        requireAll('OIDC login', {
+            OIDC_ISSUER: auth.oidc.issuer,
+            OIDC_CLIENT_ID: auth.oidc.clientId,
+            SESSION_SECRET: auth.session.secret
+        });
+
+        if (!auth.oidc.redirectUri && !cfg.server.publicUrl) {
+            problems.push('OIDC login requires OIDC_REDIRECT_URI or PUBLIC_BASE_URL for its callback URL');
+        }
+    }
+
+    if (!auth.apiKeysFile && !jwtConfigured && !oidcStarted && !auth.allowLegacyEmailHeader) {
+        problems.push('No authentication method is configured: set AUTH_API_KEYS_FILE, AUTH_JWT_SECRET / AUTH_JWT_PUBLIC_KEY(_FILE) / AUTH_JWKS_FILE, or OIDC_*');
+    }
+
+    requireFile('AUTH_API_KEYS_FILE', auth.apiKeysFile);
+    requireFile('AUTH_JWT_PUBLIC_KEY_FILE', auth.jwt.publicKeyFile);
+    requireFile('AUTH_JWKS_FILE', auth.jwt.jwksFile);
+    requireFile('ACL_GROUPS_FILE', cfg.acl.groupsFile);
+    requireFile('NOTION_DATABASES_FILE', notion.databasesFile);
+
+    return problems;
+}
+
+// Load, parse and validate; throws one error listing every problem
+function loadConfig(env = process.env) {
+    const { config: built, problems } = buildConfig(loadEnvironment(env));
+    const allProblems = [...problems, ...validateFeatures(built)];
+
+    if (allProblems.length) {
+        const error = new Error(`Invalid configuration:\n  - ${allProblems.join('\n  - ')}`);
+        error.problems = allProblems;
+        throw error;
+    }
+
+    return built;
+}
+
+function getConfig() {
+    if (!config) config = loadConfig();
+    return config;
+}
+
+// Copy with every secret replaced, safe to return from /api/admin/health
+function redactConfig(value = getConfig()) {
+    if (Array.isArray(value)) return value.map(item => redactConfig(item));
+    if (!value || typeof value !== 'object') return value;
+
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        SECRET_KEYS.has(key) ? (item ? '[redacted]' : null) : redactConfig(item)
+    ]));
+}
+
+module.exports = { UPSTREAMS, loadConfig, getConfig, redactConfig };
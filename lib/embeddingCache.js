@@ -0,0 +1,177 @@
+// Embedding cache: bounded in-memory LRU with an optional on-disk tier
+//
+// Keys hash the provider, model, dimension and input text, so switching models
+// never serves a vector from the old one.
+//
+// The disk tier is swept on startup, hourly and after every tenth of its cap in writes:
+// vectors unused for diskTtlDays go, then the least recently used beyond diskMaxEntries.
+// A disk hit touches the file, so its mtime is the last use. 0 turns either limit off.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { log } = require('./log');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DISK_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+function embeddingCacheKey(provider, text) {
+    return crypto.createHash('sha256')
+        .update(`${provider.name}\u0000${provider.model}\u0000${provider.dimension}\u0000${text}`)
+        .digest('hex');
+}
+
+function createEmbeddingCache({ maxEntries = 1000, dir = null, diskMaxEntries = 50000, diskTtlDays = 30 } = {}) {
+    // Map keeps insertion order; re-inserting on read makes the first key the least recently used
+    const memory = new Map();
+    const stats = { hits: 0, disk_hits: 0, misses: 0, evictions: 0, disk_evictions: 0, disk_errors: 0 };
+    let diskSize = null;
+    let writesSinceSweep = 0;
+    let sweeping = null;
+
+    function remember(key, embedding) {
+        memory.delete(key);
+        memory.set(key, embedding);
+
+        while (memory.size > maxEntries) {
+            memory.delete(memory.keys().next().value);
+            stats.evictions++;
+        }
+    }
+
+    // Fan keys out over 256 subdirectories to keep directory listings small
+    function diskPath(key) {
+        return path.join(dir, key.substring(0, 2), `${key}.json`);
+    }
+
+    async function readDisk(key) {
+        try {
+            const file = diskPath(key);
+            const embedding = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+            const now = new Date();
+            fs.promises.utimes(file, now, now).catch(() => {});
+            return embedding;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                stats.disk_errors++;
+                log('warn', 'Embedding cache read failed', error.message);
+            }
+            return null;
+        }
+    }
+
+    async function writeDisk(key, embedding) {
+        try {
+            const file = diskPath(key);
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            await fs.promises.writeFile(file, JSON.stringify(embedding));
+        } catch (error) {
+            stats.disk_errors++;
+            log('warn', 'Embedding cache write failed', error.message);
+            return;
+        }
+
+        writesSinceSweep++;
+        if (diskMaxEntries > 0 && writesSinceSweep >= Math.max(1, Math.floor(diskMaxEntries / 10))) {
+            sweepDisk();
+        }
+    }
+
+    // { file, usedAt } of every vector on disk
+    async function listDisk() {
+        const entries = [];
+
+        for (const shard of await fs.promises.readdir(dir, { withFileTypes: true })) {
+            if (!shard.isDirectory()) continue;
+
+            const shardDir = path.join(dir, shard.name);
+            for (const name of await fs.promises.readdir(shardDir)) {
+                if (!name.endsWith('.json')) continue;
+
+                const file = path.join(shardDir, name);
+                const stat = await fs.promises.stat(file).catch(() => null);
+                if (stat) entries.push({ file, usedAt: stat.mtimeMs });
+            }
+        }
+
+        return entries;
+    }
+
+    async function trimDisk() {
+        const entries = (await listDisk()).sort((a, b) => b.usedAt - a.usedAt);
+        const expiredBefore = diskTtlDays > 0 ? Date.now() - diskTtlDays * DAY_MS : -Infinity;
+        const evicted = entries.filter((entry, i) => (diskMaxEntries > 0 && i >= diskMaxEntries) || entry.usedAt < expiredBefore);
+
+        for (const { file } of evicted) {
+            await fs.promises.unlink(file).catch(() => {});
+        }
+
+        stats.disk_evictions += evicted.length;
+        diskSize = entries.length - evicted.length;
+    }
+
+    // One sweep at a time; a failed sweep is retried by the next one
+    function sweepDisk() {
+        if (!sweeping) {
+            writesSinceSweep = 0;
+            sweeping = trimDisk()
+                .catch(error => {
+                    stats.disk_errors++;
+                    log('warn', 'Embedding cache sweep failed', error.message);
+                })
+                .finally(() => {
+                    sweeping = null;
+                });
+        }
+        return sweeping;
+    }
+
+    if (dir) {
+        fs.mkdirSync(dir, { recursive: true });
+        sweepDisk();
+        setInterval(sweepDisk, DISK_SWEEP_INTERVAL_MS).unref();
+    }
+
+    async function get(key) {
+        if (memory.has(key)) {
+            const embedding = memory.get(key);
+            remember(key, embedding);
+            stats.hits++;
+            return embedding;
+        }
+
+        if (dir) {
+            const embedding = await readDisk(key);
+            if (embedding) {
+                remember(key, embedding);
+                stats.disk_hits++;
+                return embedding;
+            }
+        }
+
+        stats.misses++;
+        return null;
+    }
+
+    async function set(key, embedding) {
+        remember(key, embedding);
+        if (dir) await writeDisk(key, embedding);
+    }
+
+    function getStats() {
+        const lookups = stats.hits + stats.disk_hits + stats.misses;
+
+        return {
+            ...stats,
+            size: memory.size,
+            max_entries: maxEntries,
+            persistent: !!dir,
+            ...(dir && { disk_size: diskSize, disk_max_entries: diskMaxEntries, disk_ttl_days: diskTtlDays }),
+            hit_ratio: lookups ? Number(((stats.hits + stats.disk_hits) / lookups).toFixed(3)) : null
+        };
+    }
+
+    return { get, set, getStats, sweepDisk };
+}
+
+module.exports = { createEmbeddingCache, embeddingCacheKey };
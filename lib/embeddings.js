@@ -0,0 +1,284 @@
+// Embedding providers, selected by EMBEDDING_PROVIDER:
+//   openai            - OpenAI embeddings API (default)
+//   openai-compatible - any OpenAI-style /embeddings endpoint (Azure, self-hosted)
+//   local             - deterministic hashing embedder, no network access
+
+const axios = require('axios');
+const crypto = require('crypto');
+const { Tiktoken } = require('js-tiktoken/lite');
+const cl100kBase = require('js-tiktoken/ranks/cl100k_base');
+const { log } = require('./log');
+const { callUpstream } = require('./resilience');
+const { assertQuotaRoom, chargeUsage } = require('./rateLimit');
+const { counter } = require('./metrics');
+const { createEmbeddingCache, embeddingCacheKey } = require('./embeddingCache');
+const { getConfig } = require('./config');
+
+const OPENAI_MODEL_DIMENSIONS = {
+    'text-embedding-3-small': 1536,
+    'text-embedding-3-large': 3072,
+    'text-embedding-ada-002': 1536
+};
+
+// OpenAI embedding models accept at most 8191 tokens per input
+const DEFAULT_MAX_TOKENS = 8191;
+const DEFAULT_LOCAL_DIMENSION = 1536;
+
+let encoder = null;
+let provider = null;
+let cache = null;
+
+// Identical texts embedded concurrently share one upstream request
+const inFlight = new Map();
+
+const embeddingTokens = counter('embedding_tokens_total', 'Tokens sent to the embedding provider (cache misses only)', ['provider', 'model']);
+
+// cl100k_base is the tokenizer of every OpenAI embedding model
+function getEncoder() {
+    if (!encoder) encoder = new Tiktoken(cl100kBase);
+    return encoder;
+}
+
+// Cut text to a token budget; returns the text and how many tokens it has
+function fitToTokens(text, maxTokens) {
+    const tokens = getEncoder().encode(text);
+    if (tokens.length <= maxTokens) return { text, tokenCount: tokens.length };
+    return { text: getEncoder().decode(tokens.slice(0, maxTokens)), tokenCount: maxTokens };
+}
+
+// Cut text to a token budget instead of a character count
+function truncateToTokens(text, maxTokens) {
+    return fitToTokens(text, maxTokens).text;
+}
+
+// POST to an OpenAI-style /embeddings endpoint, returns vectors in input order
+async function requestEmbeddings(url, headers, body) {
+    const response = await callUpstream('embedding', () => axios.post(url, body, {
+        headers: {
+            ...headers,
+            'Content-Type': 'application/json'
+        },
+        timeout: 30000
+    }), { operation: 'embed' });
+
+    return response.data.data
+        .slice()
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.embedding);
+}
+
+function createOpenAIProvider(settings, config) {
+    const model = settings.model || 'text-embedding-3-small';
+    const requestedDimension = settings.dimension;
+    const dimension = requestedDimension || OPENAI_MODEL_DIMENSIONS[model];
+
+    if (!dimension) {
+        throw new Error(`Unknown dimension for embedding model ${model}; set EMBEDDING_DIMENSION`);
+    }
+
+    return {
+        name: 'openai',
+        model,
+        dimension,
+        maxTokens: settings.maxTokens || DEFAULT_MAX_TOKENS,
+        embed: async (texts) => {
+            if (!config.openai.apiKey) {
+                throw new Error('OPENAI_API_KEY is not configured');
+            }
+
+            return requestEmbeddings('https://api.openai.com/v1/embeddings', {
+                'Authorization': `Bearer ${config.openai.apiKey}`
+            }, {
+                model,
+                input: texts,
+                // Only the text-embedding-3 models can shorten their output
+                ...(requestedDimension && { dimensions: requestedDimension })
+            });
+        }
+    };
+}
+
+function createOpenAICompatibleProvider(settings) {
+    const { baseUrl, model, apiKey, apiVersion } = settings;
+    const dimension = settings.dimension || OPENAI_MODEL_DIMENSIONS[model];
+
+    if (!baseUrl) {
+        throw new Error('EMBEDDING_BASE_URL is required for the openai-compatible embedding provider');
+    }
+    if (!dimension) {
+        throw new Error('EMBEDDING_DIMENSION is required for the openai-compatible embedding provider');
+    }
+
+    // Azure OpenAI authenticates with an "api-key" header and needs an api-version
+    const keyHeader = settings.apiKeyHeader;
+    const url = `${baseUrl.replace(/\/+$/, '')}/embeddings` +
+        (apiVersion ? `?api-version=${encodeURIComponent(apiVersion)}` : '');
+
+    return {
+        name: 'openai-compatible',
+        model: model || 'default',
+        dimension,
+        maxTokens: settings.maxTokens || DEFAULT_MAX_TOKENS,
+        embed: (texts) => requestEmbeddings(url, apiKey ? {
+            [keyHeader]: keyHeader === 'Authorization' ? `Bearer ${apiKey}` : apiKey
+        } : {}, {
+            ...(model && { model }),
+            input: texts
+        })
+    };
+}
+
+// Feature-hashed bag of unigrams and bigrams, L2-normalized. Texts sharing words
+// land near each other, which is enough to exercise every route offline.
+function hashingEmbedding(text, dimension) {
+    const vector = new Array(dimension).fill(0);
+    const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    const features = words.concat(words.slice(1).map((word, i) => `${words[i]} ${word}`));
+
+    features.forEach(feature => {
+        const hash = crypto.createHash('md5').update(feature).digest();
+        const bucket = hash.readUInt32LE(0) % dimension;
+        vector[bucket] += (hash[4] & 1) ? 1 : -1;
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+}
+
+function createLocalProvider(settings) {
+    const dimension = settings.dimension || DEFAULT_LOCAL_DIMENSION;
+
+    return {
+        name: 'local',
+        model: `hashing-${dimension}`,
+        dimension,
+        maxTokens: settings.maxTokens || DEFAULT_MAX_TOKENS,
+        embed: async (texts) => texts.map(text => hashingEmbedding(text, dimension))
+    };
+}
+
+const PROVIDERS = {
+    'openai': createOpenAIProvider,
+    'openai-compatible': createOpenAICompatibleProvider,
+    'local': createLocalProvider
+};
+
+function createEmbeddingProvider(config = getConfig()) {
+    const name = config.embedding.provider;
+    const factory = PROVIDERS[name];
+
+    if (!factory) {
+        throw new Error(`Unknown EMBEDDING_PROVIDER "${name}"; expected one of ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+
+    return factory(config.embedding, config);
+}
+
+function getEmbeddingProvider() {
+    if (!provider) provider = createEmbeddingProvider();
+    return provider;
+}
+
+// EMBEDDING_CACHE_SIZE=0 disables caching; EMBEDDING_CACHE_DIR adds the on-disk tier
+function getEmbeddingCache() {
+    if (cache === null) {
+        const { size, dir, diskMaxEntries, diskTtlDays } = getConfig().embedding.cache;
+
+        cache = size > 0
+            ? createEmbeddingCache({ maxEntries: size, dir, diskMaxEntries, diskTtlDays })
+            : false;
+    }
+    return cache;
+}
+
+function getEmbeddingCacheStats() {
+    const embeddingCache = getEmbeddingCache();
+    return embeddingCache ? embeddingCache.getStats() : { enabled: false };
+}
+
+async function embedUncached(embeddingProvider, input, tokenCount) {
+    const [embedding] = await embeddingProvider.embed([input]);
+
+    if (embedding?.length !== embeddingProvider.dimension) {
+        throw new Error(`Provider ${embeddingProvider.name} returned ${embedding?.length} dimensions, declared ${embeddingProvider.dimension}`);
+    }
+
+    embeddingTokens.inc({ provider: embeddingProvider.name, model: embeddingProvider.model }, tokenCount);
+
+    return embedding;
+}
+
+// Only calls to a paid provider count against the caller's daily quota; cache hits are free.
+// Charged before the call, so a caller out of quota never reaches the provider.
+function chargeEmbedding(embeddingProvider, tokenCount) {
+    if (embeddingProvider.name === 'local') return async () => {};
+    return chargeUsage('embedding_tokens', tokenCount);
+}
+
+// Refuse a batch (e.g. a document's chunks) up front when embedding all of it would pass the
+// caller's quota, rather than stopping halfway through
+async function assertEmbeddingBudget(texts) {
+    const embeddingProvider = getEmbeddingProvider();
+    if (embeddingProvider.name === 'local') return;
+
+    const tokens = texts.reduce((sum, text) => sum + fitToTokens(text, embeddingProvider.maxTokens).tokenCount, 0);
+    await assertQuotaRoom('embedding_tokens', tokens);
+}
+
+async function generateEmbedding(text) {
+    try {
+        const embeddingProvider = getEmbeddingProvider();
+        const { text: input, tokenCount } = fitToTokens(text, embeddingProvider.maxTokens);
+        const embeddingCache = getEmbeddingCache();
+
+        const key = embeddingCache && embeddingCacheKey(embeddingProvider, input);
+        const cached = embeddingCache && await embeddingCache.get(key);
+        if (cached) return cached;
+
+        // Every caller pays for a miss, including those sharing a call already in flight
+        const refund = await chargeEmbedding(embeddingProvider, tokenCount);
+
+        try {
+            if (!embeddingCache) {
+                return await embedUncached(embeddingProvider, input, tokenCount);
+            }
+
+            if (!inFlight.has(key)) {
+                inFlight.set(key, embedUncached(embeddingProvider, input, tokenCount)
+                    .then(async (embedding) => {
+                        await embeddingCache.set(key, embedding);
+                        return embedding;
+                    })
+                    .finally(() => inFlight.delete(key)));
+            }
+
+            return await inFlight.get(key);
+        } catch (error) {
+            await refund();
+            throw error;
+        }
+    } catch (error) {
+        // Routes answer these with 429
+        if (error.quotaExceeded) throw error;
+
+        log('error', 'Embedding generation failed', {
+            error: error.message,
+            text_length: text?.length
+        });
+        const wrapped = new Error('Failed to generate embedding for search');
+        // Keep what lib/resilience.js recorded so routes can answer 503 or fall back
+        if (error.upstreamUnavailable) {
+            Object.assign(wrapped, { upstream: error.upstream, upstreamUnavailable: true, retryAfter: error.retryAfter });
+        }
+        throw wrapped;
+    }
+}
+
+module.exports = {
+    createEmbeddingProvider,
+    getEmbeddingProvider,
+    generateEmbedding,
+    assertEmbeddingBudget,
+    getEmbeddingCacheStats,
+    truncateToTokens
+};
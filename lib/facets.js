@@ -0,0 +1,188 @@
+// Facets: value counts for the filterable fields, and the known values behind the
+// dashboard's filter dropdowns.
+//
+// Facet names are the filter names (source_type, tags, ...) so a facet value can be fed
+// straight back as a filter; date buckets carry the date_range that selects them.
+
+const { deriveImportance } = require('./format');
+const { queryVectors } = require('./pinecone');
+const { getEmbeddingProvider } = require('./embeddings');
+const { searchNotion, fetchDatabaseProperties } = require('./notion');
+
+// Candidates counted per search: wider than any page, so counts don't depend on paging
+const PINECONE_FACET_CANDIDATES = 500;
+const NOTION_FACET_CANDIDATES = 300;
+const NOTION_PAGE_SIZE = 100;
+
+// Vectors sampled per request to list known metadata values (Pinecone's query maximum)
+const PINECONE_VALUE_SAMPLE = 1000;
+
+// Values returned per facet, most frequent first
+const FACET_LIMIT = 50;
+
+// Notion select-style fields whose options are the known values
+const NOTION_OPTION_FIELDS = {
+    tags: 'tags',
+    source_type: 'sourceType',
+    importance: 'importance',
+    type: 'type',
+    phase: 'phase'
+};
+
+// Facet values of a raw Pinecone match, read the way mapMatchToResult reads them
+function matchFacetValues(match) {
+    const metadata = match.metadata || {};
+
+    return {
+        tags: metadata.tags || [],
+        source_type: [metadata.source_type || match.sourceType || 'Document'],
+        importance: [deriveImportance(metadata)],
+        people_involved: metadata.people_involved || [],
+        date: metadata.date_ended || null
+    };
+}
+
+function notionEntryFacetValues(entry) {
+    return {
+        tags: entry.tags || [],
+        source_type: [entry.sourceType],
+        importance: [entry.importance],
+        people_involved: entry.peopleInvolved || [],
+        type: entry.type ? [entry.type] : [],
+        phase: entry.phase ? [entry.phase] : [],
+        date: entry.dateReceived || null
+    };
+}
+
+// "2025-03-14" -> { value: "2025-03", from: "2025-03-01", to: "2025-03-31" }
+function monthBucket(date) {
+    const match = /^(\d{4})-(\d{2})/.exec(String(date));
+    if (!match) return null;
+
+    const [, year, month] = match;
+    const lastDay = new Date(Date.UTC(Number(year), Number(month), 0)).getUTCDate();
+
+    return { value: `${year}-${month}`, from: `${year}-${month}-01`, to: `${year}-${month}-${String(lastDay).padStart(2, '0')}` };
+}
+
+function countValues(lists) {
+    const counts = new Map();
+
+    lists.forEach(values => {
+        new Set(values.filter(Boolean)).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    });
+
+    return [...counts.entries()]
+        .map(([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)))
+        .slice(0, FACET_LIMIT);
+}
+
+// Counts per facet over a candidate set of facet values (see matchFacetValues)
+function computeFacets(candidates) {
+    const fields = new Set(candidates.flatMap(values => Object.keys(values)).filter(field => field !== 'date'));
+    const facets = { candidates: candidates.length };
+
+    fields.forEach(field => {
+        facets[field] = countValues(candidates.map(values => values[field] || []));
+    });
+
+    // Date buckets are listed newest first rather than by count
+    const buckets = new Map();
+    candidates.forEach(values => {
+        const bucket = values.date && monthBucket(values.date);
+        if (!bucket) return;
+        buckets.set(bucket.value, { ...bucket, count: (buckets.get(bucket.value)?.count || 0) + 1 });
+    });
+    facets.date = [...buckets.values()].sort((a, b) => b.value.localeCompare(a.value));
+
+    return facets;
+}
+
+// Entries matching a Notion search, up to NOTION_FACET_CANDIDATES, following Notion's cursors
+async function notionFacetCandidates(database, query, filters, { access, sort } = {}) {
+    const entries = [];
+    let cursor = null;
+
+    do {
+        const page = await searchNotion(database, query, filters, {
+            pageSize: NOTION_PAGE_SIZE,
+            startCursor: cursor,
+            access,
+            sort
+        });
+        entries.push(...page.entries);
+        cursor = page.hasMore ? page.nextCursor : null;
+    } while (cursor && entries.length < NOTION_FACET_CANDIDATES);
+
+    return entries.slice(0, NOTION_FACET_CANDIDATES);
+}
+
+// Known values ---------------------------------------------------------------------
+
+// Metadata values on a sample of the vectors the caller may read. Pinecone can't list
+// metadata, so this queries along one axis of the embedding space: broad, not exhaustive.
+async function pineconeKnownValues({ access, collections }) {
+    const { dimension } = getEmbeddingProvider();
+    const probe = new Array(dimension).fill(0);
+    probe[0] = 1;
+
+    const matches = await queryVectors({
+        vector: probe,
+        topK: PINECONE_VALUE_SAMPLE,
+        access,
+        collections
+    });
+
+    return { sampled: matches.length, values: matches.map(matchFacetValues) };
+}
+
+// Options of the database's select, multi-select and status columns
+async function notionKnownValues(database) {
+    const properties = await fetchDatabaseProperties(database);
+    const values = {};
+
+    Object.entries(NOTION_OPTION_FIELDS).forEach(([facet, field]) => {
+        const entry = database.mapping[field];
+        const prop = entry && properties[entry.property];
+        const options = prop?.[prop.type]?.options;
+
+        if (Array.isArray(options)) {
+            values[facet] = options.map(option => option.name).filter(Boolean);
+        }
+    });
+
+    return values;
+}
+
+// Merge value lists per facet, de-duplicated case-insensitively and sorted
+function mergeKnownValues(lists) {
+    const merged = {};
+
+    lists.forEach(values => {
+        Object.entries(values).forEach(([field, fieldValues]) => {
+            if (field === 'date') return;
+            merged[field] = merged[field] || new Map();
+            fieldValues.filter(Boolean).forEach(value => {
+                const key = String(value).toLowerCase();
+                if (!merged[field].has(key)) merged[field].set(key, value);
+            });
+        });
+    });
+
+    return Object.fromEntries(Object.entries(merged).map(([field, values]) => [
+        field,
+        [...values.values()].sort((a, b) => String(a).localeCompare(String(b)))
+    ]));
+}
+
+module.exports = {
+    PINECONE_FACET_CANDIDATES,
+    matchFacetValues,
+    notionEntryFacetValues,
+    computeFacets,
+    notionFacetCandidates,
+    pineconeKnownValues,
+    notionKnownValues,
+    mergeKnownValues
+};
@@ -0,0 +1,44 @@
+// Formatting helpers shared by the result mappers
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function formatDate(dateString) {
+    if (!dateString) return "Unknown date";
+    
+    try {
+        const date = new Date(dateString);
+        const now = new Date();
+        const diffMs = now - date;
+        const diffHours = Math.floor(diffMs / (1000 * 60 * 60));
+        const diffDays = Math.floor(diffHours / 24);
+        
+        if (diffHours < 1) return "Just now";
+        if (diffHours < 24) return `${diffHours} hours ago`;
+        if (diffDays < 7) return `${diffDays} days ago`;
+        if (diffDays < 30) return `${Math.floor(diffDays / 7)} weeks ago`;
+        
+        return date.toLocaleDateString();
+    } catch (e) {
+        return dateString;
+    }
+}
+
+function deriveImportance(metadata) {
+    if (!metadata) return "low";
+    
+    // Logic to determine importance based on metadata
+    if (metadata.decisions_made?.length > 0) return "high";
+    if (metadata.action_items?.length > 0) return "medium";
+    if (metadata.roadblocks_issues?.length > 0) return "high";
+    if (metadata.source_type === "Critical Document") return "critical";
+    return "low";
+}
+
+// Days since 1970-01-01 for a YYYY-MM-DD date, or null. Stored next to date_ended as
+// date_ended_day because Pinecone's range operators ($gte, $lte) only compare numbers.
+function epochDay(dateString) {
+    const time = Date.parse(String(dateString || '').slice(0, 10));
+    return Number.isNaN(time) ? null : Math.floor(time / DAY_MS);
+}
+
+module.exports = { formatDate, deriveImportance, epochDay };
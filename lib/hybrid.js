@@ -0,0 +1,176 @@
+// Hybrid search: Pinecone vector results and Notion results merged with reciprocal-rank fusion,
+// and the Notion keyword search that stands in when semantic search is unavailable
+
+const { searchPinecone, mapMatchToResult } = require('./search');
+const { searchNotion } = require('./notion');
+
+// Standard RRF constant; dampens the advantage of the very top ranks
+const RRF_K = 60;
+
+// Results requested from each backend, at least
+const MIN_BACKEND_RESULTS = 50;
+
+// Notion rejects page_size above 100
+const NOTION_MAX_PAGE_SIZE = 100;
+
+// Keywords matched per fallback search; each is OR-ed over every text field
+const MAX_KEYWORDS = 5;
+
+// Words too common to narrow a "contains" match
+const STOPWORDS = new Set([
+    'the', 'and', 'for', 'are', 'was', 'were', 'with', 'that', 'this', 'from', 'what', 'when',
+    'where', 'which', 'who', 'why', 'how', 'did', 'does', 'about', 'have', 'has', 'had', 'our',
+    'your', 'their', 'any', 'all', 'can', 'could', 'should', 'would', 'there', 'into', 'been'
+]);
+
+// Key identifying the underlying source document, so chunks and Notion-synced
+// vectors collapse onto the Notion page they came from
+function pineconeSourceKey(match) {
+    if (match.metadata?.notion_page_id) return `notion:${match.metadata.notion_page_id}`;
+    if (match.metadata?.document_id) return `doc:${match.metadata.document_id}`;
+    return `vector:${match.collection}:${match.id}`;
+}
+
+function notionSourceKey(entry) {
+    return `notion:${entry.id}`;
+}
+
+function fromPinecone(match) {
+    const result = mapMatchToResult(match);
+
+    return {
+        id: match.metadata?.notion_page_id || match.metadata?.document_id || match.id,
+        title: result.title,
+        description: result.description,
+        author: result.author,
+        date: result.date,
+        tags: result.tags,
+        sourceType: result.sourceType,
+        importance: result.importance,
+        summary: result.summary,
+        collection: match.collection,
+        url: match.metadata?.url || null
+    };
+}
+
+function fromNotion(entry) {
+    return {
+        id: entry.id,
+        title: entry.title,
+        description: entry.description,
+        author: entry.author,
+        date: entry.date,
+        tags: entry.tags,
+        sourceType: entry.sourceType,
+        importance: entry.importance,
+        summary: entry.summary,
+        url: entry.url || null
+    };
+}
+
+// Merge ranked lists; each list is [{ key, result, score }] in rank order
+function reciprocalRankFusion(rankedLists, { k = RRF_K } = {}) {
+    const merged = new Map();
+
+    Object.entries(rankedLists).forEach(([backend, items]) => {
+        const seen = new Set();
+        let rank = 0;
+
+        items.forEach(item => {
+            // Only a source's best-ranked hit counts within a backend
+            if (seen.has(item.key)) return;
+            seen.add(item.key);
+            rank++;
+
+            const existing = merged.get(item.key) || {
+                // Notion fields are authoritative when both backends found the page
+                ...item.result,
+                score: 0,
+                backends: [],
+                ranks: {},
+                backendScores: {}
+            };
+
+            if (backend === 'notion') Object.assign(existing, item.result);
+
+            existing.score += 1 / (k + rank);
+            existing.backends.push(backend);
+            existing.ranks[backend] = rank;
+            existing.backendScores[backend] = item.score;
+            merged.set(item.key, existing);
+        });
+    });
+
+    return [...merged.values()].sort((a, b) => b.score - a.score);
+}
+
+// Run both backends in parallel; a failing or unconfigured backend is reported, not fatal
+async function hybridSearch(query, filters = {}, { limit = 20, notion, access, collections } = {}) {
+    const notionConfigured = !!(notion?.token && notion?.databaseId);
+    const backendLimit = Math.max(limit, MIN_BACKEND_RESULTS);
+
+    const [pinecone, notionResult] = await Promise.allSettled([
+        searchPinecone(query, filters, { access, collections, topK: backendLimit, rerank: true }),
+        notionConfigured
+            ? searchNotion(notion, query, filters, { access, pageSize: Math.min(backendLimit, NOTION_MAX_PAGE_SIZE) })
+            : Promise.resolve(null)
+    ]);
+
+    if (pinecone.status === 'rejected' && (notionResult.status === 'rejected' || !notionConfigured)) {
+        throw pinecone.reason;
+    }
+
+    const rankedLists = {};
+    const backends = {};
+
+    if (pinecone.status === 'fulfilled') {
+        rankedLists.pinecone = pinecone.value.map(match => ({
+            key: pineconeSourceKey(match),
+            result: fromPinecone(match),
+            score: match.ranking?.score ?? match.score
+        }));
+        backends.pinecone = { status: 'ok', count: pinecone.value.length };
+    } else {
+        backends.pinecone = { status: 'failed', error: pinecone.reason.message };
+    }
+
+    if (!notionConfigured) {
+        backends.notion = { status: 'not_configured', count: 0 };
+    } else if (notionResult.status === 'fulfilled') {
+        rankedLists.notion = notionResult.value.entries.map(entry => ({
+            key: notionSourceKey(entry),
+            result: fromNotion(entry),
+            score: entry.freshnessScore
+        }));
+        backends.notion = { status: 'ok', count: notionResult.value.entries.length };
+    } else {
+        backends.notion = { status: 'failed', error: notionResult.reason.message };
+    }
+
+    const results = reciprocalRankFusion(rankedLists).slice(0, limit);
+
+    return { results, backends };
+}
+
+// Longest distinct words of a natural-language query, stopwords dropped
+function queryKeywords(query) {
+    const words = String(query).toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || [];
+
+    return [...new Set(words)]
+        .filter(word => !STOPWORDS.has(word))
+        .sort((a, b) => b.length - a.length)
+        .slice(0, MAX_KEYWORDS);
+}
+
+// Notion entries containing any of the query's keywords, in Notion's freshness order
+async function notionKeywordSearch(query, filters = {}, { limit = 20, notion, access } = {}) {
+    const keywords = queryKeywords(query);
+    const { entries } = await searchNotion(notion, keywords.length ? keywords : query, filters, {
+        access,
+        pageSize: Math.min(limit, NOTION_MAX_PAGE_SIZE)
+    });
+
+    return { entries, results: entries.map(fromNotion), keywords };
+}
+
+module.exports = { reciprocalRankFusion, hybridSearch, notionKeywordSearch };
@@ -0,0 +1,212 @@
+// Document ingestion: parse, chunk, embed and upsert into the FLINT OS index
+
+const crypto = require('crypto');
+const { log } = require('./log');
+const { generateEmbedding, assertEmbeddingBudget } = require('./embeddings');
+const { upsertVectors } = require('./pinecone');
+const { aclFromInput } = require('./access');
+const { epochDay } = require('./format');
+
+const DEFAULT_CHUNK_SIZE = 1500;
+const DEFAULT_CHUNK_OVERLAP = 200;
+const TRANSCRIPT_EXTENSIONS = ['.vtt', '.srt'];
+
+// Metadata fields read back by the search/recent mappers and deriveImportance
+const LIST_FIELDS = ['people_involved', 'tags', 'decisions_made', 'action_items', 'roadblocks_issues'];
+
+// Errors caused by the submitted document rather than an upstream service
+function invalidDocument(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+}
+
+// Split text into overlapping chunks, preferring paragraph, sentence and word boundaries
+function chunkText(text, { chunkSize = DEFAULT_CHUNK_SIZE, overlap = DEFAULT_CHUNK_OVERLAP } = {}) {
+    if (!Number.isInteger(chunkSize) || chunkSize < 100) {
+        throw invalidDocument('Chunk size must be an integer of at least 100 characters');
+    }
+    if (!Number.isInteger(overlap) || overlap < 0 || overlap >= chunkSize) {
+        throw invalidDocument('Chunk overlap must be a non-negative integer smaller than chunk size');
+    }
+
+    const clean = (text || '').replace(/\r\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+    if (!clean) return [];
+    if (clean.length <= chunkSize) return [clean];
+
+    const chunks = [];
+    let start = 0;
+
+    while (start < clean.length) {
+        let end = Math.min(start + chunkSize, clean.length);
+
+        if (end < clean.length) {
+            const window = clean.slice(start, end);
+            const minBreak = Math.floor(chunkSize / 2);
+            const breakAt = ['\n\n', '. ', '\n', ' ']
+                .map(separator => window.lastIndexOf(separator))
+                .find(index => index >= minBreak);
+
+            if (breakAt !== undefined) end = start + breakAt + 1;
+        }
+
+        const chunk = clean.slice(start, end).trim();
+        if (chunk) chunks.push(chunk);
+        if (end >= clean.length) break;
+
+        // Step back by the overlap, then forward to the next word so chunks don't start mid-word
+        let next = end - overlap;
+        const space = clean.indexOf(' ', next);
+        if (space !== -1 && space < end) next = space + 1;
+        start = Math.max(next, start + 1);
+    }
+
+    return chunks;
+}
+
+// Parse flat "key: value" / "key: [a, b]" Markdown front matter
+function parseFrontMatter(text) {
+    const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+    if (!match) return { attributes: {}, body: text };
+
+    const attributes = {};
+    match[1].split(/\r?\n/).forEach(line => {
+        const pair = line.match(/^([A-Za-z0-9_]+)\s*:\s*(.*)$/);
+        if (!pair) return;
+
+        const value = pair[2].trim();
+        attributes[pair[1]] = value.startsWith('[') && value.endsWith(']')
+            ? value.slice(1, -1).split(',').map(item => item.trim().replace(/^["']|["']$/g, '')).filter(Boolean)
+            : value.replace(/^["']|["']$/g, '');
+    });
+
+    return { attributes, body: text.slice(match[0].length) };
+}
+
+// Strip cue numbers and timestamps from WebVTT/SRT transcripts
+function stripTranscriptCues(text) {
+    return text
+        .split(/\r?\n/)
+        .filter(line => !/^WEBVTT/.test(line))
+        .filter(line => !/^\d+$/.test(line.trim()))
+        .filter(line => !/-->/.test(line))
+        .join('\n');
+}
+
+function toList(value) {
+    if (!value) return [];
+    if (Array.isArray(value)) return value.map(item => String(item).trim()).filter(Boolean);
+    return String(value).split('\n').map(item => item.replace(/^- /, '').trim()).filter(Boolean);
+}
+
+function toDateString(value) {
+    const date = value ? new Date(value) : new Date();
+    if (isNaN(date.getTime())) {
+        throw invalidDocument(`Invalid date_ended: ${value}`);
+    }
+    return date.toISOString().split('T')[0];
+}
+
+// Turn the raw request input into plain text plus the metadata shared by every chunk
+function parseDocument({ text, filename, metadata = {} }) {
+    if (!text || typeof text !== 'string' || !text.trim()) {
+        throw invalidDocument('Document text is required');
+    }
+
+    const extension = filename ? filename.slice(filename.lastIndexOf('.')).toLowerCase() : '';
+    const isTranscript = TRANSCRIPT_EXTENSIONS.includes(extension);
+
+    const { attributes, body } = parseFrontMatter(text);
+    const fields = { ...attributes };
+    Object.entries(metadata).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') fields[key] = value;
+    });
+    const content = isTranscript ? stripTranscriptCues(body) : body;
+
+    const heading = content.match(/^#\s+(.+)$/m)?.[1]?.trim();
+    const title = fields.title || heading || (filename ? filename.replace(/\.[^.]+$/, '') : 'Untitled');
+
+    const dateEnded = toDateString(fields.date_ended);
+    const shared = {
+        title,
+        date_ended: dateEnded,
+        date_ended_day: epochDay(dateEnded),
+        source_type: fields.source_type || (isTranscript ? 'Meeting Transcript' : 'Document')
+    };
+
+    LIST_FIELDS.forEach(field => {
+        shared[field] = toList(fields[field]);
+    });
+
+    // Only restricted documents carry an acl; its absence means visible to everyone
+    const acl = aclFromInput(fields);
+    if (acl.length) shared.acl = acl;
+
+    return { content, metadata: shared };
+}
+
+// Embed each chunk and attach the document metadata shared by all of its chunks
+async function buildChunkVectors(documentId, chunks, metadata) {
+    await assertEmbeddingBudget(chunks);
+
+    const vectors = [];
+
+    for (let i = 0; i < chunks.length; i++) {
+        const values = await generateEmbedding(chunks[i]);
+
+        vectors.push({
+            id: chunkVectorId(documentId, i),
+            values,
+            metadata: {
+                ...metadata,
+                chunk_text: chunks[i],
+                document_id: documentId,
+                chunk_index: i,
+                chunk_count: chunks.length
+            }
+        });
+    }
+
+    return vectors;
+}
+
+function chunkVectorId(documentId, index) {
+    return `${documentId}#chunk-${index}`;
+}
+
+// Chunk, embed and upsert a single document; returns a summary of what was written
+async function ingestDocument(input, { chunkSize, overlap, collection, ingestedBy } = {}) {
+    const { content, metadata } = parseDocument(input);
+    const chunks = chunkText(content, { chunkSize, overlap });
+
+    if (chunks.length === 0) {
+        throw invalidDocument('Document has no content to ingest');
+    }
+
+    // Stable ids so re-ingesting the same document overwrites its chunks
+    const documentId = input.id || `doc-${crypto.createHash('sha1').update(`${metadata.title}\n${content}`).digest('hex').substring(0, 16)}`;
+
+    const vectors = await buildChunkVectors(documentId, chunks, {
+        ...metadata,
+        ...(ingestedBy && { ingested_by: ingestedBy })
+    });
+
+    const upserted = await upsertVectors(vectors, collection);
+
+    log('info', 'Document ingested', {
+        document_id: documentId,
+        title: metadata.title,
+        chunks: chunks.length,
+        upserted
+    });
+
+    return {
+        document_id: documentId,
+        title: metadata.title,
+        chunks: chunks.length,
+        upserted,
+        ids: vectors.map(vector => vector.id)
+    };
+}
+
+module.exports = { chunkText, parseDocument, buildChunkVectors, chunkVectorId, ingestDocument };
@@ -0,0 +1,20 @@
+// Logging utility shared by the server and its subsystems
+
+const { currentContext } = require('./requestContext');
+
+function log(level, message, data = null) {
+    const timestamp = new Date().toISOString();
+    const context = currentContext();
+    const logEntry = {
+        timestamp,
+        level: level.toUpperCase(),
+        message,
+        // Lines written while handling a request can be joined up with it and its trace
+        ...(context && { request_id: context.requestId }),
+        ...(context?.trace && { trace_id: context.trace.traceId }),
+        ...(data && { data })
+    };
+    console.log(JSON.stringify(logEntry));
+}
+
+module.exports = { log };
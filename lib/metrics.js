@@ -0,0 +1,169 @@
+// Prometheus metrics
+//
+// Modules declare the metrics they own with counter(), histogram() and gauge(); GET /metrics
+// renders the whole registry in the Prometheus text format (version 0.0.4). Gauges, and
+// counters kept elsewhere (cache stats), are read when scraped from a collect() callback.
+
+const registry = new Map();
+
+// Seconds; spans a cache hit to a slow chat completion
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const startedAt = Date.now();
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+// Only the declared labels, in declared order, so one label set is always one series
+function pickLabels(labelNames, labels) {
+    return Object.fromEntries(labelNames.map(name => [name, labels[name] ?? '']));
+}
+
+function register(name, metric) {
+    if (registry.has(name)) {
+        throw new Error(`Metric ${name} is already registered`);
+    }
+    registry.set(name, metric);
+    return metric;
+}
+
+// collect() returns a number, or [{ labels, value }] for labelled series
+function collectedSamples(name, collect) {
+    const collected = collect();
+    const values = typeof collected === 'number' ? [{ labels: {}, value: collected }] : collected;
+    return values.map(({ labels, value }) => ({ name, labels, value }));
+}
+
+// Counted here with inc(), or read from a running total elsewhere with collect()
+function counter(name, help, labelNames = [], collect = null) {
+    const series = new Map();
+
+    return register(name, {
+        type: 'counter',
+        help,
+        inc(labels = {}, amount = 1) {
+            const picked = pickLabels(labelNames, labels);
+            const key = JSON.stringify(picked);
+            const current = series.get(key) || { labels: picked, value: 0 };
+            current.value += amount;
+            series.set(key, current);
+        },
+        samples() {
+            if (collect) return collectedSamples(name, collect);
+            return [...series.values()].map(({ labels, value }) => ({ name, labels, value }));
+        }
+    });
+}
+
+function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const series = new Map();
+
+    return register(name, {
+        type: 'histogram',
+        help,
+        observe(labels, value) {
+            const picked = pickLabels(labelNames, labels);
+            const key = JSON.stringify(picked);
+            if (!series.has(key)) {
+                series.set(key, { labels: picked, counts: buckets.map(() => 0), sum: 0, count: 0 });
+            }
+
+            const current = series.get(key);
+            buckets.forEach((bound, i) => {
+                if (value <= bound) current.counts[i]++;
+            });
+            current.sum += value;
+            current.count++;
+        },
+        samples() {
+            return [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+                ...buckets.map((bound, i) => ({ name: `${name}_bucket`, labels: { ...labels, le: formatValue(bound) }, value: counts[i] })),
+                { name: `${name}_bucket`, labels: { ...labels, le: '+Inf' }, value: count },
+                { name: `${name}_sum`, labels, value: sum },
+                { name: `${name}_count`, labels, value: count }
+            ]);
+        }
+    });
+}
+
+function gauge(name, help, collect) {
+    return register(name, {
+        type: 'gauge',
+        help,
+        samples: () => collectedSamples(name, collect)
+    });
+}
+
+// Text exposition of every metric; a failing gauge is skipped, not fatal to the scrape
+function renderMetrics() {
+    const lines = [];
+
+    registry.forEach((metric, name) => {
+        let samples;
+        try {
+            samples = metric.samples();
+        } catch (error) {
+            return;
+        }
+
+        lines.push(`# HELP ${name} ${metric.help}`, `# TYPE ${name} ${metric.type}`);
+        samples.forEach(sample => {
+            lines.push(`${sample.name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+        });
+    });
+
+    return `${lines.join('\n')}\n`;
+}
+
+// HTTP ---------------------------------------------------------------------------
+
+const httpRequests = counter('http_requests_total', 'HTTP requests handled, by route and status', ['method', 'route', 'status']);
+const httpDuration = histogram('http_request_duration_seconds', 'HTTP request latency in seconds, by route', ['method', 'route']);
+let httpInFlight = 0;
+gauge('http_requests_in_flight', 'HTTP requests being handled', () => httpInFlight);
+
+// The route pattern, never the raw path, so ids in URLs don't become series
+function routeLabel(req) {
+    return req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+}
+
+function httpMetrics(req, res, next) {
+    const start = process.hrtime.bigint();
+    httpInFlight++;
+
+    let done = false;
+    const finish = () => {
+        if (done) return;
+        done = true;
+        httpInFlight--;
+
+        const labels = { method: req.method, route: routeLabel(req) };
+        httpRequests.inc({ ...labels, status: res.statusCode });
+        httpDuration.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+    };
+
+    // "close" covers clients that hang up before the response finished
+    res.on('finish', finish);
+    res.on('close', finish);
+    next();
+}
+
+// Process ----------------------------------------------------------------------
+
+gauge('process_start_time_seconds', 'Start time of the process since the Unix epoch, in seconds', () => Math.round(startedAt / 1000));
+gauge('process_resident_memory_bytes', 'Resident memory size in bytes', () => process.memoryUsage().rss);
+gauge('nodejs_heap_used_bytes', 'V8 heap in use, in bytes', () => process.memoryUsage().heapUsed);
+
+module.exports = { counter, histogram, gauge, renderMetrics, httpMetrics, routeLabel };
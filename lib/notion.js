@@ -0,0 +1,325 @@
+// Notion database access and transformation to knowledge entries
+
+const axios = require('axios');
+const { log } = require('./log');
+const { formatDate } = require('./format');
+const { getNotionAclProperty, withNotionAccessFilter } = require('./access');
+const { callUpstream } = require('./resilience');
+const { getConfig } = require('./config');
+const {
+    DEFAULT_MAPPING,
+    readField,
+    isTextField,
+    valueCondition,
+    textCondition,
+    emptinessCondition,
+    dateCondition,
+    fieldSort,
+    compareSchema
+} = require('./notionSchema');
+
+const NOTION_VERSION = '2022-06-28';
+
+function notionNotConfigured(message) {
+    const error = new Error(message);
+    error.statusCode = 500;
+    error.notConfigured = true;
+    return error;
+}
+
+// A configured database by name (default: NOTION_DEFAULT_DATABASE), with its mapping
+function getNotionDatabase(name) {
+    const { databases, defaultDatabase } = getConfig().notion;
+    const databaseName = name || defaultDatabase;
+
+    if (!databaseName) {
+        throw notionNotConfigured('Notion configuration missing: set NOTION_API_TOKEN and NOTION_DATABASE_ID or NOTION_DATABASES_FILE');
+    }
+    if (!databases[databaseName]) {
+        const error = new Error(`Unknown Notion database "${databaseName}"; expected one of ${Object.keys(databases).join(', ')}`);
+        error.statusCode = 400;
+        throw error;
+    }
+
+    return { name: databaseName, ...databases[databaseName] };
+}
+
+function listNotionDatabases() {
+    return Object.keys(getConfig().notion.databases).map(name => getNotionDatabase(name));
+}
+
+// Transform a Notion query response into knowledge entries, reading each field through
+// the database's property mapping (the default FLINT OS columns when none is given)
+function transformNotionToKnowledgeEntries(notionResponse, database = {}) {
+    if (!notionResponse.results || !Array.isArray(notionResponse.results)) {
+        return { entries: [] };
+    }
+
+    const mapping = database.mapping || DEFAULT_MAPPING;
+    const aclProperty = getNotionAclProperty();
+
+    const entries = notionResponse.results.map(page => {
+        const field = name => readField(page, mapping, name);
+
+        const summary = field('summary');
+        const people = field('peopleInvolved');
+        const dateReceived = field('dateReceived');
+
+        return {
+            id: page.id,
+            title: field('title') || "Untitled",
+            description: summary.substring(0, 300) + "..." || "No description available",
+            author: people[0] || "Unknown",
+            peopleInvolved: people,
+            date: formatDate(dateReceived),
+            dateReceived,
+            tags: field('tags'),
+            sourceType: field('sourceType') || "Document",
+            importance: (field('importance') || "medium").toLowerCase(),
+            summary,
+            actionItems: field('actionItems'),
+            decisions: field('decisions'),
+            roadblocks: field('roadblocks'),
+            openQuestions: field('openQuestions'),
+            references: field('references'),
+            milestones: field('milestones'),
+            type: field('type') || null,
+            phase: field('phase') || null,
+            freshnessScore: field('freshnessScore') || 0,
+            access: aclProperty ? (page.properties?.[aclProperty]?.multi_select || []).map(item => item.name) : [],
+            ...(database.name && { database: database.name }),
+            url: page.url,
+            lastEdited: page.last_edited_time,
+            createdTime: page.created_time
+        };
+    });
+
+    return { entries };
+}
+
+// Query a Notion database, returns the raw API response
+async function queryNotionDatabase({ token, databaseId }, payload) {
+    const response = await callUpstream('notion', () => axios.post(
+        `https://api.notion.com/v1/databases/${databaseId}/query`, 
+        payload, 
+        {
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Content-Type': 'application/json',
+                'Notion-Version': NOTION_VERSION
+            },
+            timeout: 30000
+        }
+    ), { operation: 'query_database' });
+
+    return response.data;
+}
+
+// Fetch a database's properties (name -> { type, ... })
+async function fetchDatabaseProperties({ token, databaseId }) {
+    const response = await callUpstream('notion', () => axios.get(`https://api.notion.com/v1/databases/${databaseId}`, {
+        headers: {
+            'Authorization': `Bearer ${token}`,
+            'Notion-Version': NOTION_VERSION
+        },
+        timeout: 30000
+    }), { operation: 'retrieve_database' });
+
+    return response.data.properties || {};
+}
+
+// Fields the free-text query is matched against, where mapped to text properties, most telling first
+const TEXT_SEARCH_FIELDS = ['title', 'summary', 'decisions', 'actionItems', 'openQuestions'];
+
+// Most keyword × field conditions one query makes; each is a full-text scan on Notion's side.
+// Several keywords search only the first fields of TEXT_SEARCH_FIELDS between them.
+const MAX_TEXT_CONDITIONS = 10;
+
+// Orderings callers can pick with `sort`; fields a database doesn't map fall back to Notion's timestamps
+const NOTION_SORTS = {
+    freshness: database => [fieldSort(database, 'freshnessScore'), dateReceivedSort(database)],
+    date_received: database => [dateReceivedSort(database)],
+    last_edited: () => [{ timestamp: "last_edited_time", direction: "descending" }]
+};
+
+function dateReceivedSort(database) {
+    return fieldSort(database, 'dateReceived') || { timestamp: "created_time", direction: "descending" };
+}
+
+function sortsFor(database, sort) {
+    if (!NOTION_SORTS[sort]) {
+        const error = new Error(`sort must be one of ${Object.keys(NOTION_SORTS).join(', ')}`);
+        error.statusCode = 400;
+        throw error;
+    }
+
+    return NOTION_SORTS[sort](database).filter(Boolean);
+}
+
+// One condition per value, OR-ed together when there are several
+function anyOf(values, condition) {
+    const conditions = values.map(condition);
+    return conditions.length === 1 ? conditions[0] : { or: conditions };
+}
+
+// Build a Notion filter from a text query and the UI filters, through the database's mapping.
+// Every filter is AND-ed; values within a filter are OR-ed (tags: tags_mode "all" AND-s them).
+// The query is a phrase, or a list of keywords any of which may match.
+// Conditions stay at most two levels deep, which is all Notion allows.
+// Filtering on a field the database doesn't map, or a query on one with no text fields, is a 400.
+function buildNotionSearchFilter(query, filters = {}, database = { name: 'default', mapping: DEFAULT_MAPPING }) {
+    const conditions = [];
+    const terms = (Array.isArray(query) ? query : [query]).filter(Boolean);
+
+    if (terms.length) {
+        const textFields = TEXT_SEARCH_FIELDS.filter(field => isTextField(database, field));
+        // Dropping the query would answer with unfiltered pages as if they matched
+        if (textFields.length === 0) {
+            const error = new Error(`Notion database "${database.name}" maps none of ${TEXT_SEARCH_FIELDS.join(', ')} to a title or rich_text property, so it can't be searched by text`);
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const searched = terms.slice(0, MAX_TEXT_CONDITIONS);
+        const fieldsPerTerm = Math.max(1, Math.floor(MAX_TEXT_CONDITIONS / searched.length));
+        const pairs = searched.flatMap(term => textFields.slice(0, fieldsPerTerm).map(field => ({ term, field })));
+        conditions.push(anyOf(pairs, ({ term, field }) => textCondition(database, field, term)));
+    }
+
+    const selects = {
+        sourceType: filters.source_type,
+        importance: filters.importance,
+        type: filters.type,
+        phase: filters.phase
+    };
+    Object.entries(selects).forEach(([field, values]) => {
+        if (values?.length) {
+            conditions.push(anyOf(values, value => valueCondition(database, field, value)));
+        }
+    });
+
+    if (filters.tags?.length) {
+        const tagCondition = tag => valueCondition(database, 'tags', tag);
+
+        if (filters.tags_mode === 'all') {
+            conditions.push(...filters.tags.map(tagCondition));
+        } else {
+            conditions.push(anyOf(filters.tags, tagCondition));
+        }
+    }
+
+    if (filters.people_involved?.length) {
+        conditions.push(anyOf(filters.people_involved, person => valueCondition(database, 'peopleInvolved', person)));
+    }
+
+    // Either end of the range may be left open
+    if (filters.date_range?.from) {
+        conditions.push(dateCondition(database, 'dateReceived', 'on_or_after', filters.date_range.from));
+    }
+    if (filters.date_range?.to) {
+        conditions.push(dateCondition(database, 'dateReceived', 'on_or_before', filters.date_range.to));
+    }
+
+    if (filters.has_action_items !== undefined) {
+        conditions.push(emptinessCondition(database, 'actionItems', filters.has_action_items));
+    }
+    if (filters.has_open_questions !== undefined) {
+        conditions.push(emptinessCondition(database, 'openQuestions', filters.has_open_questions));
+    }
+
+    if (conditions.length === 0) return undefined;
+    return conditions.length === 1 ? conditions[0] : { and: conditions };
+}
+
+// One page of entries plus Notion's cursor for the next one
+async function queryEntries(database, payload, { pageSize, startCursor }) {
+    const data = await queryNotionDatabase(database, {
+        ...payload,
+        page_size: pageSize,
+        ...(startCursor && { start_cursor: startCursor })
+    });
+
+    return {
+        entries: transformNotionToKnowledgeEntries(data, database).entries,
+        nextCursor: data.next_cursor || null,
+        hasMore: !!data.has_more
+    };
+}
+
+// Search a database, ordered by freshness (then date received) unless `sort` says otherwise
+async function searchNotion(database, query, filters = {}, { pageSize = 50, startCursor, access, sort = 'freshness' } = {}) {
+    const sorts = sortsFor(database, sort);
+    const notionFilter = withNotionAccessFilter(access, buildNotionSearchFilter(query, filters, database));
+
+    const notionPayload = {
+        sorts,
+        ...(notionFilter && { filter: notionFilter })
+    };
+
+    return queryEntries(database, notionPayload, { pageSize, startCursor });
+}
+
+// Most recently received entries first
+async function listRecentNotion(database, { pageSize = 20, startCursor, access } = {}) {
+    const accessFilter = withNotionAccessFilter(access);
+
+    const notionPayload = {
+        sorts: sortsFor(database, 'date_received'),
+        ...(accessFilter && { filter: accessFilter })
+    };
+
+    return queryEntries(database, notionPayload, { pageSize, startCursor });
+}
+
+// Latest schema check per database, for /api/admin/health
+let schemaReport = null;
+
+// Compare every database's live properties with its mapping and log what doesn't line up.
+// Never throws: an unreachable database is reported, not fatal.
+async function checkNotionSchemas() {
+    const aclProperty = getNotionAclProperty();
+    const report = {};
+
+    for (const database of listNotionDatabases()) {
+        try {
+            const properties = await fetchDatabaseProperties(database);
+            const result = compareSchema(database, properties, aclProperty ? [aclProperty] : []);
+
+            // The ACL column is global (NOTION_ACL_PROPERTY) rather than part of the mapping
+            if (aclProperty && !properties[aclProperty]) {
+                result.missing.push({ field: 'acl', property: aclProperty });
+            }
+
+            const ok = result.missing.length === 0 && result.type_mismatches.length === 0;
+            report[database.name] = { status: ok ? 'ok' : 'mismatch', ...result };
+
+            log(report[database.name].status === 'ok' ? 'info' : 'warn', 'Notion schema check', {
+                database: database.name,
+                ...report[database.name]
+            });
+        } catch (error) {
+            report[database.name] = { status: 'unreachable', error: error.response?.data?.message || error.message };
+            log('warn', 'Notion schema check failed', { database: database.name, error: report[database.name].error });
+        }
+    }
+
+    schemaReport = { checked_at: new Date().toISOString(), databases: report };
+    return schemaReport;
+}
+
+function getNotionSchemaReport() {
+    return schemaReport;
+}
+
+module.exports = {
+    getNotionDatabase,
+    listNotionDatabases,
+    transformNotionToKnowledgeEntries,
+    queryNotionDatabase,
+    fetchDatabaseProperties,
+    buildNotionSearchFilter,
+    searchNotion,
+    listRecentNotion,
+    checkNotionSchemas,
+    getNotionSchemaReport
+};
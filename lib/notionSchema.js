@@ -0,0 +1,334 @@
+// Notion property mapping: which database column feeds which knowledge-entry field
+//
+// Each database (see resolveNotionDatabases in lib/config.js) maps entry fields to
+// { property, type }, starting from DEFAULT_MAPPING. Overrides in NOTION_DATABASES_FILE
+// may give just a property name (keeping the default type), a full { property, type },
+// or null for a field the database doesn't have:
+//   { "mapping": { "summary": "Notes", "tags": { "property": "Labels", "type": "select" }, "phase": null } }
+//
+// Everything that reads pages or builds filters goes through these helpers, so no other
+// module names a Notion column.
+
+// Field -> how its value is read. Each kind lists the Notion property types it can come from.
+//   text   a single string
+//   lines  one item per line (or per option)
+//   names  like lines, with "- " bullets stripped
+//   date   ISO date string
+//   number a number
+const FIELD_KINDS = {
+    title: 'text',
+    summary: 'text',
+    peopleInvolved: 'names',
+    dateReceived: 'date',
+    tags: 'names',
+    sourceType: 'text',
+    importance: 'text',
+    actionItems: 'lines',
+    decisions: 'lines',
+    roadblocks: 'lines',
+    openQuestions: 'lines',
+    references: 'lines',
+    milestones: 'lines',
+    type: 'text',
+    phase: 'text',
+    freshnessScore: 'number'
+};
+
+const KIND_TYPES = {
+    text: ['title', 'rich_text', 'select', 'status', 'formula', 'number', 'url', 'email', 'phone_number'],
+    lines: ['rich_text', 'title', 'multi_select'],
+    names: ['rich_text', 'multi_select', 'people', 'select', 'status'],
+    date: ['date', 'created_time', 'last_edited_time', 'formula'],
+    number: ['number', 'formula', 'rollup']
+};
+
+// Page timestamps; Notion filters and sorts them by `timestamp`, not by property name
+const TIMESTAMP_TYPES = ['created_time', 'last_edited_time'];
+
+// The value a formula or rollup must produce to feed a field of each kind, which is
+// also the key Notion expects its filter condition under
+const RESULT_TYPES = {
+    text: 'string',
+    lines: 'string',
+    names: 'string',
+    date: 'date',
+    number: 'number'
+};
+
+// Columns of the original FLINT OS knowledge database
+const DEFAULT_MAPPING = {
+    title: { property: 'Title', type: 'title' },
+    summary: { property: 'What Was Discussed', type: 'rich_text' },
+    peopleInvolved: { property: 'People Involved', type: 'rich_text' },
+    dateReceived: { property: 'Date Received', type: 'date' },
+    tags: { property: 'Tags', type: 'multi_select' },
+    sourceType: { property: 'Source Type', type: 'select' },
+    importance: { property: 'Importance', type: 'select' },
+    actionItems: { property: 'Action Items/Next Steps', type: 'rich_text' },
+    decisions: { property: 'Decision Made', type: 'rich_text' },
+    roadblocks: { property: 'Roadblocks/Issues Raised', type: 'rich_text' },
+    openQuestions: { property: 'Open Questions', type: 'rich_text' },
+    references: { property: 'References', type: 'rich_text' },
+    milestones: { property: 'Milestones and Status Updates', type: 'rich_text' },
+    type: { property: 'Type', type: 'select' },
+    phase: { property: 'Phase', type: 'select' },
+    freshnessScore: { property: 'Freshness Score', type: 'formula' }
+};
+
+// Merge overrides into the default mapping; problems are reported with the database name
+function resolveMapping(overrides = {}, databaseName, problems = []) {
+    const mapping = { ...DEFAULT_MAPPING };
+
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        problems.push(`Notion database "${databaseName}": mapping must be an object of field names`);
+        return mapping;
+    }
+
+    Object.entries(overrides).forEach(([field, override]) => {
+        if (!FIELD_KINDS[field]) {
+            problems.push(`Notion database "${databaseName}": unknown field "${field}" (expected one of ${Object.keys(FIELD_KINDS).join(', ')})`);
+            return;
+        }
+
+        if (override === null) {
+            mapping[field] = null;
+            return;
+        }
+
+        const entry = typeof override === 'string'
+            ? { property: override, type: DEFAULT_MAPPING[field].type }
+            : { property: override.property, type: override.type || DEFAULT_MAPPING[field].type };
+
+        if (!entry.property) {
+            problems.push(`Notion database "${databaseName}": field "${field}" needs a property name`);
+            return;
+        }
+
+        const allowed = KIND_TYPES[FIELD_KINDS[field]];
+        if (!allowed.includes(entry.type)) {
+            problems.push(`Notion database "${databaseName}": field "${field}" can't be read from a ${entry.type} property (expected ${allowed.join(', ')})`);
+            return;
+        }
+
+        mapping[field] = entry;
+    });
+
+    return mapping;
+}
+
+// Reading pages -------------------------------------------------------------
+
+function plainText(richText) {
+    if (!Array.isArray(richText)) return '';
+    return richText.map(item => item.plain_text || '').join('').trim();
+}
+
+function optionNames(value) {
+    if (Array.isArray(value)) return value.map(item => item?.name).filter(Boolean);
+    return value?.name ? [value.name] : [];
+}
+
+function formulaValue(formula) {
+    if (!formula) return null;
+    if (formula.type === 'date') return formula.date?.start || null;
+    return formula[formula.type] ?? null;
+}
+
+// The property's value as a string
+function readText(prop) {
+    switch (prop?.type) {
+        case 'title':
+        case 'rich_text':
+            return plainText(prop[prop.type]);
+        case 'select':
+        case 'status':
+            return prop[prop.type]?.name || '';
+        case 'multi_select':
+        case 'people':
+            return optionNames(prop[prop.type]).join(', ');
+        case 'formula': {
+            const value = formulaValue(prop.formula);
+            return value === null ? '' : String(value);
+        }
+        case 'number':
+            return prop.number === null || prop.number === undefined ? '' : String(prop.number);
+        case 'created_time':
+        case 'last_edited_time':
+        case 'url':
+        case 'email':
+        case 'phone_number':
+            return prop[prop.type] || '';
+        default:
+            return '';
+    }
+}
+
+function readList(prop, stripBullets) {
+    if (['multi_select', 'people', 'select', 'status'].includes(prop?.type)) {
+        return optionNames(prop[prop.type]);
+    }
+
+    return readText(prop)
+        .split('\n')
+        .map(line => (stripBullets ? line.replace(/^- /, '').trim() : line))
+        .filter(line => line.trim());
+}
+
+function readDate(prop) {
+    switch (prop?.type) {
+        case 'date':
+            return prop.date?.start || null;
+        case 'created_time':
+        case 'last_edited_time':
+            return prop[prop.type] || null;
+        case 'formula':
+            return formulaValue(prop.formula);
+        default:
+            return null;
+    }
+}
+
+function readNumber(prop) {
+    switch (prop?.type) {
+        case 'number':
+            return prop.number ?? null;
+        case 'formula': {
+            const value = formulaValue(prop.formula);
+            return typeof value === 'number' ? value : null;
+        }
+        case 'rollup':
+            return prop.rollup?.number ?? null;
+        default:
+            return null;
+    }
+}
+
+// A field's value on a page, read through the mapping; unmapped fields read as empty
+function readField(page, mapping, field) {
+    const entry = mapping[field];
+    const prop = entry ? page.properties?.[entry.property] : undefined;
+
+    switch (FIELD_KINDS[field]) {
+        case 'text': return readText(prop);
+        case 'lines': return readList(prop, false);
+        case 'names': return readList(prop, true);
+        case 'date': return readDate(prop);
+        case 'number': return readNumber(prop);
+        default: return undefined;
+    }
+}
+
+// Building filters -------------------------------------------------------------
+
+function unmappedField(database, field) {
+    const error = new Error(`Notion database "${database.name}" has no property mapped to "${field}"`);
+    error.statusCode = 400;
+    return error;
+}
+
+function mappedProperty(database, field) {
+    const entry = database.mapping[field];
+    if (!entry) throw unmappedField(database, field);
+    return entry;
+}
+
+// Whether the field can be matched with a text "contains" condition
+function isTextField(database, field) {
+    return ['title', 'rich_text'].includes(database.mapping[field]?.type);
+}
+
+// The field equals (or, for multi-value and text properties, contains) a value
+function valueCondition(database, field, value) {
+    const { property, type } = mappedProperty(database, field);
+
+    switch (type) {
+        case 'select':
+        case 'status':
+            return { property, [type]: { equals: value } };
+        case 'multi_select':
+        case 'title':
+        case 'rich_text':
+            return { property, [type]: { contains: value } };
+        default: {
+            const error = new Error(`Notion database "${database.name}" can't filter "${field}" on a ${type} property`);
+            error.statusCode = 400;
+            throw error;
+        }
+    }
+}
+
+// Free-text contains on a title or rich_text field
+function textCondition(database, field, text) {
+    const { property, type } = mappedProperty(database, field);
+    return { property, [type]: { contains: text } };
+}
+
+// A condition on the field's column. Timestamp columns are addressed by `timestamp`
+// rather than by name, and formulas and rollups by the type of value they produce.
+function propertyFilter(database, field, condition) {
+    const { property, type } = mappedProperty(database, field);
+
+    if (TIMESTAMP_TYPES.includes(type)) return { timestamp: type, [type]: condition };
+    if (type === 'formula' || type === 'rollup') {
+        return { property, [type]: { [RESULT_TYPES[FIELD_KINDS[field]]]: condition } };
+    }
+    return { property, [type]: condition };
+}
+
+function emptinessCondition(database, field, present) {
+    return propertyFilter(database, field, present ? { is_not_empty: true } : { is_empty: true });
+}
+
+// operator is on_or_after or on_or_before
+function dateCondition(database, field, operator, value) {
+    return propertyFilter(database, field, { [operator]: value });
+}
+
+// Descending sort on a field, or null when the database doesn't map it
+function fieldSort(database, field) {
+    const entry = database.mapping[field];
+    if (!entry) return null;
+
+    return TIMESTAMP_TYPES.includes(entry.type)
+        ? { timestamp: entry.type, direction: 'descending' }
+        : { property: entry.property, direction: 'descending' };
+}
+
+// Schema check ---------------------------------------------------------------
+
+// Compare a database's properties (GET /v1/databases/:id) with its mapping
+function compareSchema(database, properties, ignore = []) {
+    const mapped = Object.entries(database.mapping).filter(([, entry]) => entry);
+    const mappedNames = new Set(mapped.map(([, entry]) => entry.property));
+
+    const missing = mapped
+        .filter(([, entry]) => !properties[entry.property])
+        .map(([field, entry]) => ({ field, property: entry.property }));
+
+    const typeMismatches = mapped
+        .filter(([, entry]) => properties[entry.property] && properties[entry.property].type !== entry.type)
+        .map(([field, entry]) => ({
+            field,
+            property: entry.property,
+            expected: entry.type,
+            actual: properties[entry.property].type
+        }));
+
+    const unmapped = Object.keys(properties).filter(name => !mappedNames.has(name) && !ignore.includes(name));
+
+    return { missing, type_mismatches: typeMismatches, unmapped };
+}
+
+module.exports = {
+    FIELD_KINDS,
+    DEFAULT_MAPPING,
+    resolveMapping,
+    readField,
+    isTextField,
+    valueCondition,
+    textCondition,
+    emptinessCondition,
+    dateCondition,
+    fieldSort,
+    compareSchema
+};
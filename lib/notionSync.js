@@ -0,0 +1,259 @@
+// Notion-to-Pinecone sync: mirrors every configured Notion database into its collection
+// (the FLINT OS index unless the database names another)
+
+const fs = require('fs');
+const path = require('path');
+const { log } = require('./log');
+const { getConfig } = require('./config');
+const { transformNotionToKnowledgeEntries, queryNotionDatabase, listNotionDatabases } = require('./notion');
+const { chunkText, buildChunkVectors, chunkVectorId } = require('./ingest');
+const { upsertVectors, deleteVectors } = require('./pinecone');
+const { aclFromNotionValues } = require('./access');
+const { epochDay } = require('./format');
+const { invalidateResponses } = require('./responseCache');
+const { runAsCaller } = require('./rateLimit');
+
+const NOTION_PAGE_SIZE = 100;
+
+// Caller the sync's usage is counted under in the daily quotas and /api/admin/usage
+const SYNC_CALLER = 'system:notion-sync';
+
+let running = null;
+let lastRun = null;
+let intervalTimer = null;
+
+function getStateFile() {
+    return getConfig().notion.sync.stateFile;
+}
+
+// State maps page id -> { last_edited_time, chunk_count, collection } for every page already in Pinecone
+function loadState() {
+    try {
+        return JSON.parse(fs.readFileSync(getStateFile(), 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            log('warn', 'Notion sync state unreadable, starting fresh', error.message);
+        }
+        return { pages: {} };
+    }
+}
+
+function saveState(state) {
+    const file = getStateFile();
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(state, null, 2));
+}
+
+// Page through the whole database with start_cursor/has_more
+async function fetchAllPages(database) {
+    const pages = [];
+    let cursor;
+
+    do {
+        const data = await queryNotionDatabase(database, {
+            page_size: NOTION_PAGE_SIZE,
+            ...(cursor && { start_cursor: cursor })
+        });
+
+        pages.push(...(data.results || []));
+        cursor = data.has_more ? data.next_cursor : null;
+    } while (cursor);
+
+    return pages;
+}
+
+// Text embedded for a Notion entry: the discussion plus every structured section
+function entryToText(entry) {
+    const sections = [
+        entry.title,
+        entry.summary,
+        entry.decisions?.length && `Decisions:\n${entry.decisions.join('\n')}`,
+        entry.actionItems?.length && `Action items:\n${entry.actionItems.join('\n')}`,
+        entry.roadblocks?.length && `Roadblocks:\n${entry.roadblocks.join('\n')}`,
+        entry.openQuestions?.length && `Open questions:\n${entry.openQuestions.join('\n')}`,
+        entry.milestones?.length && `Milestones:\n${entry.milestones.join('\n')}`
+    ];
+
+    return sections.filter(Boolean).join('\n\n');
+}
+
+// Metadata in the same shape the /api/search and /api/recent mappers read
+function entryToMetadata(entry) {
+    const dateEnded = (entry.dateReceived || entry.createdTime || '').split('T')[0];
+    const dateEndedDay = epochDay(dateEnded);
+
+    return {
+        title: entry.title,
+        date_ended: dateEnded,
+        ...(dateEndedDay !== null && { date_ended_day: dateEndedDay }),
+        people_involved: entry.peopleInvolved || [],
+        tags: entry.tags || [],
+        source_type: entry.sourceType,
+        discussion: entry.summary,
+        decisions_made: entry.decisions || [],
+        action_items: entry.actionItems || [],
+        roadblocks_issues: entry.roadblocks || [],
+        notion_page_id: entry.id,
+        ...(entry.database && { notion_database: entry.database }),
+        url: entry.url || '',
+        last_edited: entry.lastEdited,
+        ...(entry.access?.length && { acl: aclFromNotionValues(entry.access) })
+    };
+}
+
+function pageDocumentId(pageId) {
+    return `notion-${pageId}`;
+}
+
+// Ids of chunks a page had before that it no longer has
+function staleChunkIds(pageId, previousCount, currentCount) {
+    const ids = [];
+    for (let i = currentCount; i < previousCount; i++) {
+        ids.push(chunkVectorId(pageDocumentId(pageId), i));
+    }
+    return ids;
+}
+
+async function runSync({ full = false } = {}) {
+    const databases = listNotionDatabases();
+
+    if (databases.length === 0) {
+        throw new Error('Notion configuration missing');
+    }
+
+    const startedAt = Date.now();
+    const state = loadState();
+    const previous = { ...state.pages };
+    const summary = {
+        pages_seen: 0,
+        embedded: 0,
+        skipped: 0,
+        deleted: 0,
+        vectors_upserted: 0,
+        vectors_deleted: 0
+    };
+
+    // Fetch everything before touching Pinecone: a database that can't be read must not
+    // have its pages' vectors deleted as if they were gone
+    const sources = [];
+    for (const database of databases) {
+        const pages = await fetchAllPages(database);
+        const livePages = pages.filter(page => !page.archived && !page.in_trash);
+        const { entries } = transformNotionToKnowledgeEntries({ results: livePages }, database);
+        sources.push(...entries.map(entry => ({ entry, collection: database.collection })));
+    }
+
+    const seen = new Set();
+    // Databases whose pages changed since the last run; their cached Notion responses are dropped
+    const changed = new Set();
+
+    for (const { entry, collection } of sources) {
+        seen.add(entry.id);
+        summary.pages_seen++;
+
+        const moved = previous[entry.id] && (previous[entry.id].collection || 'knowledge') !== collection;
+
+        // A page whose database now syncs elsewhere leaves its old collection entirely
+        if (moved) {
+            summary.vectors_deleted += await deleteVectors(
+                staleChunkIds(entry.id, previous[entry.id].chunk_count, 0),
+                previous[entry.id].collection || 'knowledge'
+            );
+        }
+
+        if (!full && !moved && previous[entry.id]?.last_edited_time === entry.lastEdited) {
+            summary.skipped++;
+            continue;
+        }
+
+        const chunks = chunkText(entryToText(entry));
+        const vectors = await buildChunkVectors(pageDocumentId(entry.id), chunks, entryToMetadata(entry));
+        summary.vectors_upserted += await upsertVectors(vectors, collection);
+
+        const stale = moved ? [] : staleChunkIds(entry.id, previous[entry.id]?.chunk_count || 0, chunks.length);
+        if (stale.length) {
+            summary.vectors_deleted += await deleteVectors(stale, collection);
+        }
+
+        state.pages[entry.id] = { last_edited_time: entry.lastEdited, chunk_count: chunks.length, collection };
+        summary.embedded++;
+        changed.add(entry.database);
+
+        // Persist as we go so an interrupted run doesn't redo finished pages
+        saveState(state);
+    }
+
+    // Pages that are archived, trashed or gone from the database lose their vectors
+    for (const pageId of Object.keys(previous)) {
+        if (seen.has(pageId)) continue;
+
+        summary.vectors_deleted += await deleteVectors(
+            staleChunkIds(pageId, previous[pageId].chunk_count, 0),
+            previous[pageId].collection || 'knowledge'
+        );
+        delete state.pages[pageId];
+        summary.deleted++;
+        // The state doesn't record which database a removed page came from
+        databases.forEach(database => changed.add(database.name));
+    }
+
+    if (changed.size) {
+        invalidateResponses([...changed].map(name => `notion:${name}`));
+    }
+
+    state.last_synced_at = new Date().toISOString();
+    saveState(state);
+
+    return { ...summary, duration_ms: Date.now() - startedAt };
+}
+
+// Run a sync unless one is already in progress; concurrent callers get the running promise
+function syncNotion(options = {}) {
+    if (running) {
+        return { alreadyRunning: true, promise: running };
+    }
+
+    log('info', 'Notion sync started', options);
+
+    // Embedding tokens go to the sync's own usage counter, not to whoever happened to start it;
+    // a run stopped by its quota resumes from the saved state the next day
+    running = runAsCaller(SYNC_CALLER, () => runSync(options))
+        .then(summary => {
+            lastRun = { status: 'success', finished_at: new Date().toISOString(), ...summary };
+            log('info', 'Notion sync completed', summary);
+            return summary;
+        })
+        .catch(error => {
+            lastRun = { status: 'failed', finished_at: new Date().toISOString(), error: error.message };
+            log('error', 'Notion sync failed', error.message);
+            throw error;
+        })
+        .finally(() => {
+            running = null;
+        });
+
+    return { alreadyRunning: false, promise: running };
+}
+
+// Start the optional periodic sync (NOTION_SYNC_INTERVAL_MINUTES)
+function startNotionSyncTimer() {
+    const minutes = getConfig().notion.sync.intervalMinutes;
+    if (!minutes || intervalTimer) return;
+
+    intervalTimer = setInterval(() => {
+        syncNotion().promise.catch(() => {});
+    }, minutes * 60 * 1000);
+    intervalTimer.unref();
+
+    log('info', 'Notion sync timer started', { interval_minutes: minutes });
+}
+
+function getNotionSyncStatus() {
+    return {
+        running: !!running,
+        interval_minutes: intervalTimer ? getConfig().notion.sync.intervalMinutes : null,
+        last_run: lastRun
+    };
+}
+
+module.exports = { syncNotion, startNotionSyncTimer, getNotionSyncStatus };
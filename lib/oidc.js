@@ -0,0 +1,144 @@
+// OIDC authorization-code login (with PKCE) for the dashboard
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { jwtVerify, createRemoteJWKSet, SignJWT } = require('jose');
+const { parseCookies, defaultUserScopes, getAllowedDomain, createSessionToken, sessionCookie } = require('./auth');
+const { getConfig } = require('./config');
+
+const FLOW_COOKIE = 'flint_oidc';
+const FLOW_TTL_SECONDS = 10 * 60;
+
+let discovery = null;
+let remoteJwks = null;
+
+// OIDC_REDIRECT_URI, else /auth/callback under PUBLIC_BASE_URL; never from the Host header,
+// which the client chooses and which would send the authorization code wherever it names
+function configuredRedirectUri(oidc, server) {
+    if (oidc.redirectUri) return oidc.redirectUri;
+    return server.publicUrl ? `${server.publicUrl.replace(/\/+$/, '')}/auth/callback` : null;
+}
+
+function getOidcConfig() {
+    const { auth: { oidc, session }, server } = getConfig();
+    const redirectUri = configuredRedirectUri(oidc, server);
+
+    if (!oidc.issuer || !oidc.clientId || !session.secret || !redirectUri) {
+        throw new Error('OIDC login requires OIDC_ISSUER, OIDC_CLIENT_ID, SESSION_SECRET and OIDC_REDIRECT_URI or PUBLIC_BASE_URL');
+    }
+
+    return {
+        issuer: oidc.issuer.replace(/\/+$/, ''),
+        clientId: oidc.clientId,
+        clientSecret: oidc.clientSecret,
+        redirectUri,
+        flowSecret: new TextEncoder().encode(session.secret)
+    };
+}
+
+async function discover(issuer) {
+    if (!discovery) {
+        const response = await axios.get(`${issuer}/.well-known/openid-configuration`, { timeout: 30000 });
+        discovery = response.data;
+        remoteJwks = createRemoteJWKSet(new URL(discovery.jwks_uri));
+    }
+    return discovery;
+}
+
+function base64url(buffer) {
+    return buffer.toString('base64url');
+}
+
+// Start the login: remember state, nonce and PKCE verifier in a short-lived signed cookie
+async function beginLogin(req, res) {
+    const config = getOidcConfig();
+    const { authorization_endpoint } = await discover(config.issuer);
+
+    const state = base64url(crypto.randomBytes(16));
+    const nonce = base64url(crypto.randomBytes(16));
+    const verifier = base64url(crypto.randomBytes(32));
+    const challenge = base64url(crypto.createHash('sha256').update(verifier).digest());
+    // Only same-site paths, so the login can't be used as an open redirect
+    const returnTo = /^\/(?![\/\\])/.test(req.query.return_to || '') ? req.query.return_to : '/';
+
+    const flow = await new SignJWT({ state, nonce, verifier, returnTo })
+        .setProtectedHeader({ alg: 'HS256' })
+        .setExpirationTime(`${FLOW_TTL_SECONDS}s`)
+        .sign(config.flowSecret);
+
+    const url = new URL(authorization_endpoint);
+    url.search = new URLSearchParams({
+        response_type: 'code',
+        client_id: config.clientId,
+        redirect_uri: config.redirectUri,
+        scope: 'openid email profile',
+        state,
+        nonce,
+        code_challenge: challenge,
+        code_challenge_method: 'S256'
+    }).toString();
+
+    res.setHeader('Set-Cookie', `${FLOW_COOKIE}=${flow}; Path=/auth; HttpOnly; SameSite=Lax; Max-Age=${FLOW_TTL_SECONDS}`);
+    res.redirect(url.toString());
+}
+
+// Exchange the code, verify the ID token and issue the dashboard session cookie
+async function completeLogin(req, res) {
+    const config = getOidcConfig();
+    const { token_endpoint } = await discover(config.issuer);
+
+    const flowToken = parseCookies(req.headers.cookie)[FLOW_COOKIE];
+    if (!flowToken) {
+        throw new Error('Login session expired, please start again');
+    }
+
+    const { payload: flow } = await jwtVerify(flowToken, config.flowSecret, { algorithms: ['HS256'] });
+    if (req.query.state !== flow.state) {
+        throw new Error('Login state mismatch');
+    }
+
+    const tokenResponse = await axios.post(token_endpoint, new URLSearchParams({
+        grant_type: 'authorization_code',
+        code: req.query.code,
+        redirect_uri: config.redirectUri,
+        client_id: config.clientId,
+        code_verifier: flow.verifier,
+        ...(config.clientSecret && { client_secret: config.clientSecret })
+    }).toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: 30000
+    });
+
+    const { payload: claims } = await jwtVerify(tokenResponse.data.id_token, remoteJwks, {
+        issuer: discovery.issuer,
+        audience: config.clientId
+    });
+
+    if (claims.nonce !== flow.nonce) {
+        throw new Error('Login nonce mismatch');
+    }
+
+    const email = claims.email;
+    const allowedDomain = getAllowedDomain();
+    if (!email || !email.endsWith(allowedDomain) || claims.email_verified === false) {
+        const error = new Error(`Please use a verified email ending with ${allowedDomain}`);
+        error.statusCode = 401;
+        throw error;
+    }
+
+    const { token, ttl } = await createSessionToken({ email, subject: claims.sub, scopes: defaultUserScopes() });
+
+    res.setHeader('Set-Cookie', [
+        sessionCookie(req, token, ttl),
+        `${FLOW_COOKIE}=; Path=/auth; HttpOnly; SameSite=Lax; Max-Age=0`
+    ]);
+    res.redirect(flow.returnTo || '/');
+
+    return { email };
+}
+
+function logout(req, res) {
+    res.setHeader('Set-Cookie', sessionCookie(req, '', 0));
+}
+
+module.exports = { beginLogin, completeLogin, logout };
@@ -0,0 +1,291 @@
+// Published descriptions of the API, all generated from the route registry in lib/schemas.js:
+//   /openapi.json             OpenAPI 3.1 document
+//   /typingmind-plugin.json   TypingMind plugins for the routes marked with `plugin`
+//   endpoint lists            for /api/admin/health and the 404 handler
+//
+// Adding or changing a route in lib/schemas.js updates all of them.
+
+const { routes, errorResponse } = require('./schemas');
+const { SESSION_COOKIE, getAuthStatus } = require('./auth');
+const { getConfig } = require('./config');
+
+const API_TITLE = 'FLINT OS Knowledge Base';
+const API_DESCRIPTION = 'Search, browse and chat over the FLINT OS knowledge base (Pinecone and Notion).';
+
+// Header the TypingMind plugins authenticate with; keys come from `npm run create-api-key`
+const PLUGIN_AUTH_HEADER = 'x-api-key';
+
+function routeEntries() {
+    return Object.entries(routes).map(([key, route]) => {
+        const [method, path] = key.split(' ');
+        return { key, method, path, route };
+    });
+}
+
+// Base URL clients should call, from PUBLIC_BASE_URL only: the request's Host header is
+// the client's to choose, and the plugin code sends API keys to whatever URL it names
+function publicBaseUrl() {
+    const configured = getConfig().server.publicUrl;
+    return configured ? configured.replace(/\/+$/, '') : null;
+}
+
+// "GET /api/search" -> "getApiSearch"
+function operationId(method, path) {
+    const words = path.split(/[^a-zA-Z0-9]+/).filter(Boolean);
+    return [method.toLowerCase(), ...words.map(word => word[0].toUpperCase() + word.slice(1))].join('');
+}
+
+// 404 handler: every route, deprecated ones marked
+function listEndpoints() {
+    return routeEntries().map(({ key, route }) => (route.deprecated ? `${key} (deprecated)` : key));
+}
+
+// /api/admin/health: "/api/..." path -> "GET/POST - summary"
+function summarizeApiEndpoints() {
+    const byPath = {};
+
+    routeEntries()
+        .filter(({ path }) => path.startsWith('/api/'))
+        .forEach(({ method, path, route }) => {
+            byPath[path] = byPath[path] || { methods: [], summary: route.summary };
+            byPath[path].methods.push(method);
+        });
+
+    return Object.fromEntries(Object.entries(byPath).map(([path, { methods, summary }]) => [
+        path,
+        `${methods.join('/')} - ${summary}`
+    ]));
+}
+
+// OpenAPI ------------------------------------------------------------------
+
+// Only the authentication methods this deployment accepts
+function securitySchemes() {
+    const status = getAuthStatus();
+    const schemes = {};
+
+    if (status.api_keys_configured) {
+        schemes.apiKey = { type: 'apiKey', in: 'header', name: 'x-api-key' };
+    }
+    if (status.jwt_configured) {
+        schemes.bearerAuth = { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' };
+    }
+    if (status.oidc_configured) {
+        schemes.session = { type: 'apiKey', in: 'cookie', name: SESSION_COOKIE };
+    }
+    if (status.legacy_email_header) {
+        schemes.legacyEmail = {
+            type: 'apiKey',
+            in: 'header',
+            name: 'x-user-email',
+            description: 'Unverified caller email; legacy, enabled by AUTH_ALLOW_LEGACY_EMAIL_HEADER'
+        };
+    }
+
+    return schemes;
+}
+
+// Objects (and lists of objects) travel as JSON-encoded query parameters
+function queryParameter(name, schema, required) {
+    const isJson = schema.type === 'object' || (schema.type === 'array' && schema.items?.type === 'object');
+
+    return {
+        name,
+        in: 'query',
+        required,
+        ...(schema.description && { description: schema.description }),
+        ...(isJson ? { content: { 'application/json': { schema } } } : { schema })
+    };
+}
+
+function queryParameters(schema) {
+    const required = schema.required || [];
+    return Object.entries(schema.properties || {}).map(([name, property]) => (
+        queryParameter(name, property, required.includes(name))
+    ));
+}
+
+function errorResult(description) {
+    return { description, content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } };
+}
+
+function responses(route) {
+    const status = String(route.status || 200);
+    const result = {};
+
+    if (route.stream) {
+        result[status] = {
+            description: 'Server-Sent Events stream',
+            content: { 'text/event-stream': { schema: { type: 'string' } } }
+        };
+    } else if (status === '302') {
+        result[status] = { description: 'Redirect' };
+    } else if (route.contentType) {
+        result[status] = {
+            description: route.summary,
+            content: { [route.contentType]: { schema: { type: 'string' } } }
+        };
+    } else {
+        result[status] = {
+            description: route.summary,
+            content: { 'application/json': { schema: route.response || { type: 'object' } } }
+        };
+    }
+
+    if (route.query || route.body) result['400'] = errorResult('Invalid request');
+    if (route.scope || route.auth) {
+        result['401'] = errorResult('Missing or invalid credentials');
+        result['403'] = errorResult('Credentials lack the required scope');
+    }
+    if (route.scope) result['429'] = errorResult('Rate limit or daily quota exceeded; see Retry-After');
+    result['500'] = errorResult('Server error');
+    if (route.scope) result['503'] = errorResult('An upstream service is unavailable; see Retry-After');
+
+    return result;
+}
+
+function requestBody(key, route) {
+    const content = { 'application/json': { schema: route.body } };
+
+    // Raw document uploads; their metadata moves to the query string
+    if (key === 'POST /api/ingest') {
+        ['text/plain', 'text/markdown', 'text/vtt'].forEach(type => {
+            content[type] = { schema: { type: 'string' } };
+        });
+    }
+
+    return { required: true, content };
+}
+
+function operation({ key, method, path, route }, schemes) {
+    const secured = route.scope || route.auth;
+
+    return {
+        operationId: route.plugin?.name || operationId(method, path),
+        summary: route.summary,
+        ...(route.description && { description: route.description }),
+        ...(route.deprecated && { deprecated: true }),
+        ...(secured && {
+            security: Object.keys(schemes).map(name => ({ [name]: [] })),
+            ...(route.scope && { 'x-required-scope': route.scope })
+        }),
+        ...(route.query && { parameters: queryParameters(route.query) }),
+        ...(route.body && { requestBody: requestBody(key, route) }),
+        responses: responses(route)
+    };
+}
+
+function openApiDocument({ baseUrl, version }) {
+    const schemes = securitySchemes();
+    const paths = {};
+
+    routeEntries().forEach(entry => {
+        paths[entry.path] = paths[entry.path] || {};
+        paths[entry.path][entry.method.toLowerCase()] = operation(entry, schemes);
+    });
+
+    return {
+        openapi: '3.1.0',
+        info: { title: API_TITLE, description: API_DESCRIPTION, version },
+        // Without a public URL, relative to wherever the document was fetched from
+        servers: [{ url: baseUrl || '/' }],
+        paths,
+        components: {
+            schemas: { Error: errorResponse },
+            securitySchemes: schemes
+        }
+    };
+}
+
+// TypingMind ---------------------------------------------------------------
+
+// Function-calling parameters: the route's query or body schema narrowed to plugin.fields
+function pluginParameters(route) {
+    const schema = route.body || route.query;
+    const { fields } = route.plugin;
+
+    return {
+        type: 'object',
+        properties: Object.fromEntries(fields.map(field => [field, schema.properties[field]])),
+        required: (schema.required || []).filter(field => fields.includes(field))
+    };
+}
+
+// TypingMind runs plugin code in the browser as `async function <name>(params, userSettings)`
+function pluginCode(name, method, url) {
+    const request = method === 'GET'
+        ? [
+            `    const url = new URL(${JSON.stringify(url)});`,
+            '    Object.entries(params || {}).forEach(([key, value]) => {',
+            '        if (value !== undefined && value !== null) {',
+            "            url.searchParams.set(key, typeof value === 'object' ? JSON.stringify(value) : String(value));",
+            '        }',
+            '    });',
+            `    const response = await fetch(url, { headers: { '${PLUGIN_AUTH_HEADER}': userSettings.apiKey } });`
+        ]
+        : [
+            `    const response = await fetch(${JSON.stringify(url)}, {`,
+            `        method: '${method}',`,
+            `        headers: { 'Content-Type': 'application/json', '${PLUGIN_AUTH_HEADER}': userSettings.apiKey },`,
+            '        body: JSON.stringify(params || {})',
+            '    });'
+        ];
+
+    return [
+        `async function ${name}(params, userSettings) {`,
+        ...request,
+        '    const data = await response.json();',
+        '    if (!response.ok) {',
+        '        throw new Error(data.message || data.error || `Request failed with status ${response.status}`);',
+        '    }',
+        '    return data;',
+        '}'
+    ].join('\n');
+}
+
+function typingMindPlugin({ method, path, route }, baseUrl) {
+    const { name, description } = route.plugin;
+
+    return {
+        id: name,
+        title: route.summary,
+        openaiSpec: { name, description, parameters: pluginParameters(route) },
+        userSettings: [{
+            name: 'apiKey',
+            label: `API key (sent as ${PLUGIN_AUTH_HEADER}, needs the ${route.scope} scope)`,
+            type: 'password',
+            required: true
+        }],
+        implementationType: 'javascript',
+        outputType: 'respond_to_ai',
+        code: pluginCode(name, method, `${baseUrl}${path}`)
+    };
+}
+
+function typingMindManifest({ baseUrl, version }) {
+    const tools = routeEntries().filter(({ route }) => route.plugin);
+
+    return {
+        name: API_TITLE,
+        description: API_DESCRIPTION,
+        version,
+        server: baseUrl,
+        openapi: `${baseUrl}/openapi.json`,
+        auth: {
+            header: PLUGIN_AUTH_HEADER,
+            // Without AUTH_API_KEYS_FILE the server has no keys to accept
+            configured: getAuthStatus().api_keys_configured,
+            scopes: [...new Set(tools.map(({ route }) => route.scope))],
+            description: 'Create a key with `npm run create-api-key -- typingmind search,chat` and paste it into each plugin\'s settings'
+        },
+        plugins: tools.map(entry => typingMindPlugin(entry, baseUrl))
+    };
+}
+
+module.exports = {
+    publicBaseUrl,
+    listEndpoints,
+    summarizeApiEndpoints,
+    openApiDocument,
+    typingMindManifest
+};
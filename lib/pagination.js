@@ -0,0 +1,124 @@
+// Pagination contract shared by every listing endpoint:
+//   in:  limit (validated against a per-endpoint maximum) and an opaque cursor
+//   out: next_cursor (null on the last page) and has_more
+// Pinecone has no cursors, so its pages are offsets into an over-fetched ranked list;
+// Notion cursors are passed through; chronological feeds resume after the last item they
+// returned (a keyset). All are wrapped so clients can't tell them apart.
+
+// Deepest offset a Pinecone cursor may reach; each page re-queries offset + limit results
+const MAX_OFFSET = 1000;
+
+// Notion rejects page_size above 100
+const NOTION_MAX_PAGE_SIZE = 100;
+
+function invalidPageRequest(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+}
+
+function parseLimit(value, { defaultLimit, maxLimit }) {
+    if (value === undefined || value === null || value === '') return defaultLimit;
+
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+        throw invalidPageRequest(`limit must be an integer between 1 and ${maxLimit}`);
+    }
+
+    return limit;
+}
+
+function encodeCursor(state) {
+    return Buffer.from(JSON.stringify(state)).toString('base64url');
+}
+
+function decodeCursor(cursor, kind) {
+    if (!cursor) return null;
+
+    let state = null;
+    try {
+        state = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (error) {
+        // Reported below
+    }
+
+    if (state?.kind !== kind) {
+        throw invalidPageRequest('cursor is invalid or was issued by a different endpoint');
+    }
+
+    return state;
+}
+
+// Page request over a ranked list; fetchCount includes one extra result to detect a next page
+function parseOffsetPage({ limit, cursor } = {}, { defaultLimit = 20, maxLimit = 100 } = {}) {
+    const pageLimit = parseLimit(limit, { defaultLimit, maxLimit });
+    const offset = decodeCursor(cursor, 'offset')?.offset ?? 0;
+
+    if (!Number.isInteger(offset) || offset < 0 || offset > MAX_OFFSET) {
+        throw invalidPageRequest(`cursor points past the last reachable result (${MAX_OFFSET})`);
+    }
+
+    return { limit: pageLimit, offset, fetchCount: offset + pageLimit + 1 };
+}
+
+function offsetPage(items, { limit, offset }) {
+    const hasMore = items.length > offset + limit && offset + limit <= MAX_OFFSET;
+
+    return {
+        items: items.slice(offset, offset + limit),
+        next_cursor: hasMore ? encodeCursor({ kind: 'offset', offset: offset + limit }) : null,
+        has_more: hasMore
+    };
+}
+
+function parseNotionPage({ limit, cursor } = {}, { defaultLimit = 20, maxLimit = NOTION_MAX_PAGE_SIZE } = {}) {
+    return {
+        limit: parseLimit(limit, { defaultLimit, maxLimit: Math.min(maxLimit, NOTION_MAX_PAGE_SIZE) }),
+        startCursor: decodeCursor(cursor, 'notion')?.start_cursor
+    };
+}
+
+function notionPage(entries, { nextCursor, hasMore }) {
+    const more = !!(hasMore && nextCursor);
+
+    return {
+        items: entries,
+        next_cursor: more ? encodeCursor({ kind: 'notion', start_cursor: nextCursor }) : null,
+        has_more: more
+    };
+}
+
+// Page request over a list sorted by date descending, then key ascending
+function parseKeysetPage({ limit, cursor } = {}, { defaultLimit = 20, maxLimit = 100 } = {}) {
+    const pageLimit = parseLimit(limit, { defaultLimit, maxLimit });
+    const state = decodeCursor(cursor, 'keyset');
+
+    if (state && (typeof state.date !== 'string' || typeof state.key !== 'string')) {
+        throw invalidPageRequest('cursor is invalid or was issued by a different endpoint');
+    }
+
+    return { limit: pageLimit, after: state && { date: state.date, key: state.key } };
+}
+
+// Items after the cursor; positionOf(item) returns the item's { date, key }
+function keysetPage(items, { limit, after }, positionOf) {
+    const start = after
+        ? items.findIndex(item => {
+            const { date, key } = positionOf(item);
+            return date < after.date || (date === after.date && key > after.key);
+        })
+        : 0;
+
+    const remaining = start === -1 ? [] : items.slice(start);
+    const pageItems = remaining.slice(0, limit);
+    const hasMore = remaining.length > limit;
+    const last = pageItems[pageItems.length - 1];
+
+    return {
+        items: pageItems,
+        next_cursor: hasMore ? encodeCursor({ kind: 'keyset', ...positionOf(last) }) : null,
+        has_more: hasMore
+    };
+}
+
+module.exports = { parseOffsetPage, offsetPage, parseNotionPage, notionPage, parseKeysetPage, keysetPage };
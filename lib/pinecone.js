@@ -0,0 +1,265 @@
+// Pinecone data access through named collections
+//
+// A collection is an index host, an API key and a namespace (see resolveCollections in
+// lib/config.js). Reads can fan out over several collections; writes target one.
+// All calls share one SDK client per API key.
+
+const { Pinecone } = require('@pinecone-database/pinecone');
+const { log } = require('./log');
+const { callUpstream } = require('./resilience');
+const { withPineconeAccessFilter } = require('./access');
+const { getConfig } = require('./config');
+
+// Pinecone accepts at most 1000 vectors (and 2MB) per upsert; stay well below
+const UPSERT_BATCH_SIZE = 100;
+
+// API key -> client
+const clients = new Map();
+
+// Index host -> dimension, read once from describeIndexStats
+const indexDimensions = new Map();
+
+// Called with (collectionName, { upserted, deleted }) after every write
+const writeListeners = [];
+
+function unknownCollection(name) {
+    const known = Object.keys(getConfig().pinecone.collections).join(', ');
+    const error = new Error(`Unknown collection "${name}"; expected one of ${known}`);
+    error.statusCode = 400;
+    return error;
+}
+
+function getCollection(name = 'knowledge') {
+    const collection = getConfig().pinecone.collections[name];
+
+    if (!collection) {
+        throw unknownCollection(name);
+    }
+    if (!collection.apiKey || !collection.indexHost) {
+        throw new Error(`Pinecone configuration for collection "${name}" not found`);
+    }
+
+    return { name, ...collection };
+}
+
+// Collections named by a request (a name, a comma-separated list or an array),
+// falling back to PINECONE_DEFAULT_COLLECTIONS
+function resolveCollectionNames(value) {
+    const names = (Array.isArray(value) ? value : String(value || '').split(','))
+        .map(name => String(name).trim())
+        .filter(Boolean);
+
+    const resolved = names.length > 0 ? [...new Set(names)] : getConfig().pinecone.defaultCollections;
+    resolved.forEach(name => getCollection(name));
+
+    return resolved;
+}
+
+// Public description of the configured collections; never includes API keys
+function listCollections() {
+    return Object.entries(getConfig().pinecone.collections).map(([name, collection]) => ({
+        name,
+        indexHost: collection.indexHost,
+        namespace: collection.namespace
+    }));
+}
+
+// Pinecone refused the request itself (bad filter, wrong vector shape)
+function isPineconeValidationError(error) {
+    return error?.name === 'PineconeBadRequestError';
+}
+
+function getClient(apiKey) {
+    if (!clients.has(apiKey)) {
+        clients.set(apiKey, new Pinecone({ apiKey }));
+    }
+    return clients.get(apiKey);
+}
+
+function indexFor(collection) {
+    return getClient(collection.apiKey).index(collection.indexHost, collection.indexHost);
+}
+
+async function indexDimensionOf(collection) {
+    const { indexHost } = collection;
+
+    if (!indexDimensions.has(indexHost)) {
+        const stats = await callUpstream('pinecone', () => indexFor(collection).describeIndexStats(), { operation: 'describe_index_stats' });
+        indexDimensions.set(indexHost, stats.dimension);
+    }
+
+    return indexDimensions.get(indexHost);
+}
+
+// Refuse to read or write vectors whose dimension differs from the index's
+async function assertIndexDimension(collection, dimension) {
+    const { indexHost } = collection;
+    const indexDimension = await indexDimensionOf(collection);
+
+    if (indexDimension && indexDimension !== dimension) {
+        throw new Error(`Embedding dimension ${dimension} does not match dimension ${indexDimension} of index ${indexHost}`);
+    }
+}
+
+// A collection with a fixed sourceType has no source_type metadata to filter on, so the
+// source_type condition is answered here: drop it, or skip the collection entirely
+function filterForCollection(collection, filter) {
+    if (!collection.sourceType || !filter?.source_type) return filter;
+
+    const { source_type: sourceTypeFilter, ...rest } = filter;
+    return (sourceTypeFilter.$in || []).includes(collection.sourceType) ? rest : null;
+}
+
+async function queryCollection(collection, { vector, topK, filter, access }) {
+    const collectionFilter = filterForCollection(collection, filter);
+    if (collectionFilter === null) return [];
+
+    await assertIndexDimension(collection, vector.length);
+
+    const filterWithAccess = withPineconeAccessFilter(access, collectionFilter);
+    const response = await callUpstream('pinecone', () => indexFor(collection).namespace(collection.namespace).query({
+        vector,
+        topK,
+        includeMetadata: true,
+        filter: filterWithAccess
+    }), { operation: 'query' });
+
+    return (response.matches || []).map(match => ({
+        ...match,
+        collection: collection.name,
+        ...(collection.sourceType && { sourceType: collection.sourceType })
+    }));
+}
+
+// Query one or more collections, returns the raw matches merged by score.
+// The caller's access filter is always applied.
+async function queryVectors({ vector, topK, filter, access, collections }) {
+    const targets = resolveCollectionNames(collections).map(name => getCollection(name));
+
+    if (targets.length === 1) {
+        return queryCollection(targets[0], { vector, topK, filter, access });
+    }
+
+    const settled = await Promise.allSettled(
+        targets.map(collection => queryCollection(collection, { vector, topK, filter, access }))
+    );
+
+    const failures = settled
+        .map((result, i) => ({ result, collection: targets[i].name }))
+        .filter(({ result }) => result.status === 'rejected');
+
+    // One unreachable collection shouldn't hide the others' results
+    if (failures.length === targets.length) {
+        throw failures[0].result.reason;
+    }
+
+    failures.forEach(({ result, collection }) => {
+        log('warn', 'Collection query failed', { collection, error: result.reason.message });
+    });
+
+    return settled
+        .filter(result => result.status === 'fulfilled')
+        .flatMap(result => result.value)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, topK);
+}
+
+// Records of one collection matching a metadata filter, in no meaningful order. Pinecone
+// has no filter-only read, so this queries with a uniform vector (a zero vector is refused
+// by cosine indexes). The caller's access filter is always applied.
+async function queryByMetadata(collectionName, { filter, topK, access }) {
+    const collection = getCollection(collectionName);
+    const dimension = await indexDimensionOf(collection);
+
+    return queryCollection(collection, { vector: new Array(dimension).fill(1), topK, filter, access });
+}
+
+// Page of vector ids in a collection (serverless indexes only)
+async function listVectorIds(collectionName, { paginationToken, limit = 100 } = {}) {
+    const collection = getCollection(collectionName);
+    const response = await callUpstream('pinecone', () => indexFor(collection).namespace(collection.namespace).listPaginated({
+        limit,
+        ...(paginationToken && { paginationToken })
+    }), { operation: 'list' });
+
+    return {
+        ids: (response.vectors || []).map(vector => vector.id),
+        next: response.pagination?.next || null
+    };
+}
+
+// Records by id, without their values
+async function fetchVectors(ids, collectionName) {
+    const collection = getCollection(collectionName);
+    const index = indexFor(collection).namespace(collection.namespace);
+    const records = [];
+
+    for (let i = 0; i < ids.length; i += UPSERT_BATCH_SIZE) {
+        const batch = ids.slice(i, i + UPSERT_BATCH_SIZE);
+        const response = await callUpstream('pinecone', () => index.fetch(batch), { operation: 'fetch' });
+        Object.values(response.records || {}).forEach(({ id, metadata }) => records.push({ id, metadata: metadata || {} }));
+    }
+
+    return records;
+}
+
+function onVectorsWritten(listener) {
+    writeListeners.push(listener);
+}
+
+function notifyWrite(collectionName, change) {
+    writeListeners.forEach(listener => {
+        try {
+            listener(collectionName, change);
+        } catch (error) {
+            log('warn', 'Vector write listener failed', { collection: collectionName, error: error.message });
+        }
+    });
+}
+
+// Upsert vectors into a collection in batches, returns the number written
+async function upsertVectors(vectors, collectionName = 'knowledge') {
+    const collection = getCollection(collectionName);
+    const index = indexFor(collection).namespace(collection.namespace);
+
+    if (vectors.length > 0) {
+        await assertIndexDimension(collection, vectors[0].values.length);
+    }
+
+    for (let i = 0; i < vectors.length; i += UPSERT_BATCH_SIZE) {
+        const batch = vectors.slice(i, i + UPSERT_BATCH_SIZE);
+        await callUpstream('pinecone', () => index.upsert(batch), { operation: 'upsert' });
+    }
+
+    notifyWrite(collection.name, { upserted: vectors });
+    return vectors.length;
+}
+
+// Delete vectors from a collection by id
+async function deleteVectors(ids, collectionName = 'knowledge') {
+    const collection = getCollection(collectionName);
+    const index = indexFor(collection).namespace(collection.namespace);
+
+    for (let i = 0; i < ids.length; i += UPSERT_BATCH_SIZE) {
+        const batch = ids.slice(i, i + UPSERT_BATCH_SIZE);
+        await callUpstream('pinecone', () => index.deleteMany(batch), { operation: 'delete' });
+    }
+
+    notifyWrite(collection.name, { deleted: ids });
+    return ids.length;
+}
+
+module.exports = {
+    getCollection,
+    resolveCollectionNames,
+    listCollections,
+    isPineconeValidationError,
+    assertIndexDimension,
+    queryVectors,
+    queryByMetadata,
+    listVectorIds,
+    fetchVectors,
+    onVectorsWritten,
+    upsertVectors,
+    deleteVectors
+};
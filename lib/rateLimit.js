@@ -0,0 +1,378 @@
+// Per-caller rate limits and daily usage quotas
+//
+// Routes are grouped by the scope they require (search, chat, ingest, admin). Each caller
+// gets a token bucket per group holding RATE_LIMIT_<GROUP>_BURST requests, refilled at
+// RATE_LIMIT_<GROUP>_PER_MINUTE. Daily quotas (UTC days) cap the embedding tokens and chat
+// messages a caller may use. Admitted responses carry the RateLimit-* headers of the IETF
+// draft; refused requests get 429 with Retry-After.
+//
+// A route's quotas are checked before it runs. Embedding tokens are also charged before
+// each embedding call (chargeUsage), which refuses the call that would pass the quota, so
+// one large ingest or sync can't overrun it.
+//
+// Buckets and usage counters live in a store. 'memory' keeps them in this process; for
+// several instances RATE_LIMIT_STORE=module loads RATE_LIMIT_STORE_MODULE, whose
+// createRateLimitStore(settings) returns a store with the same async methods (take, add,
+// get, list), e.g. on Redis.
+
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { log } = require('./log');
+const { getConfig } = require('./config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Usage counters outlive their day by a week, for the admin report
+const USAGE_TTL_SECONDS = 8 * 24 * 60 * 60;
+
+// How often the memory store drops full buckets and expired counters
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Quota name -> config setting; perRequest quotas count one per admitted request,
+// the others are charged by the code doing the work (chargeUsage)
+const QUOTAS = {
+    embedding_tokens: { setting: 'embeddingTokensPerDay' },
+    chat_messages: { setting: 'chatMessagesPerDay', perRequest: true }
+};
+
+// { caller, day } of the request being handled, so usage deep in lib/ lands on its caller
+const usageContext = new AsyncLocalStorage();
+
+let store = null;
+
+function createMemoryStore() {
+    // key -> { tokens, capacity, updatedAt, fullAt }
+    const buckets = new Map();
+    // key -> { value, expiresAt }
+    const counters = new Map();
+    let sweptAt = Date.now();
+
+    function sweep(now) {
+        if (now - sweptAt < SWEEP_INTERVAL_MS) return;
+        sweptAt = now;
+
+        buckets.forEach((bucket, key) => {
+            if (bucket.fullAt <= now) buckets.delete(key);
+        });
+        counters.forEach((counter, key) => {
+            if (counter.expiresAt <= now) counters.delete(key);
+        });
+    }
+
+    function counterValue(key, now) {
+        const counter = counters.get(key);
+        return counter && counter.expiresAt > now ? counter.value : 0;
+    }
+
+    return {
+        name: 'memory',
+
+        // Take `cost` tokens from a bucket if it holds them
+        async take(key, { capacity, refillPerSecond, cost = 1 }) {
+            const now = Date.now();
+            sweep(now);
+
+            const bucket = buckets.get(key) || { tokens: capacity, updatedAt: now };
+            const tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) / 1000 * refillPerSecond);
+            const allowed = tokens >= cost;
+            const left = allowed ? tokens - cost : tokens;
+
+            buckets.set(key, {
+                tokens: left,
+                capacity,
+                updatedAt: now,
+                fullAt: now + (capacity - left) / refillPerSecond * 1000
+            });
+
+            return {
+                allowed,
+                remaining: Math.floor(left),
+                resetSeconds: Math.ceil((capacity - left) / refillPerSecond),
+                retryAfterSeconds: allowed ? 0 : Math.ceil((cost - left) / refillPerSecond)
+            };
+        },
+
+        // Add to a counter, starting it with the given lifetime; returns the new value
+        async add(key, amount, ttlSeconds) {
+            const now = Date.now();
+            sweep(now);
+
+            const value = counterValue(key, now) + amount;
+            const expiresAt = counters.get(key)?.expiresAt > now ? counters.get(key).expiresAt : now + ttlSeconds * 1000;
+            counters.set(key, { value, expiresAt });
+            return value;
+        },
+
+        async get(key) {
+            return counterValue(key, Date.now());
+        },
+
+        // [key, value] of every live counter whose key starts with prefix
+        async list(prefix) {
+            const now = Date.now();
+            return [...counters.keys()]
+                .filter(key => key.startsWith(prefix) && counterValue(key, now) > 0)
+                .map(key => [key, counterValue(key, now)]);
+        }
+    };
+}
+
+function loadStoreModule(settings) {
+    const { createRateLimitStore } = require(path.resolve(settings.storeModule));
+    if (typeof createRateLimitStore !== 'function') {
+        throw new Error(`${settings.storeModule} must export createRateLimitStore(settings)`);
+    }
+    return createRateLimitStore(settings);
+}
+
+const STORES = {
+    'memory': createMemoryStore,
+    'module': loadStoreModule
+};
+
+function createRateLimitStore(config = getConfig()) {
+    const name = config.rateLimit.store;
+    const factory = STORES[name];
+    if (!factory) {
+        throw new Error(`Unknown RATE_LIMIT_STORE "${name}"; expected one of ${Object.keys(STORES).join(', ')}`);
+    }
+
+    return factory(config.rateLimit, config);
+}
+
+function getRateLimitStore() {
+    if (!store) store = createRateLimitStore();
+    return store;
+}
+
+// API keys are limited per key, people per email
+function callerKey(identity) {
+    return identity.keyId ? `key:${identity.keyId}` : `user:${String(identity.email).toLowerCase()}`;
+}
+
+function usageDay(now = Date.now()) {
+    return new Date(now).toISOString().slice(0, 10);
+}
+
+function usageKey(day, caller, metric) {
+    return `usage:${day}:${caller}:${metric}`;
+}
+
+function secondsUntilTomorrow(now = Date.now()) {
+    return Math.max(1, Math.ceil((DAY_MS - now % DAY_MS) / 1000));
+}
+
+function quotaLimit(name, settings) {
+    return settings.quotas[QUOTAS[name].setting];
+}
+
+function quotaExceededError(name, limit) {
+    const error = new Error(`The daily ${name} quota of ${limit} is used up; it resets at 00:00 UTC`);
+    error.statusCode = 429;
+    error.quotaExceeded = true;
+    error.quota = name;
+    error.retryAfter = secondsUntilTomorrow();
+    return error;
+}
+
+// 429 for a quotaExceededError, from this middleware or from deeper in the request
+function sendQuotaExceeded(res, error) {
+    res.set('Retry-After', String(error.retryAfter));
+    return res.status(429).json({
+        error: 'Daily quota exceeded',
+        message: error.message,
+        quota: error.quota,
+        retry_after: error.retryAfter
+    });
+}
+
+// The first of the route's quotas the caller has used up today, if any
+async function exhaustedQuota(names, caller, day, settings) {
+    for (const name of names) {
+        const limit = quotaLimit(name, settings);
+        if (limit > 0 && await getRateLimitStore().get(usageKey(day, caller, name)) >= limit) {
+            return { name, limit };
+        }
+    }
+    return null;
+}
+
+function setRateLimitHeaders(res, limits, bucket) {
+    // The bucket refills completely in burst / perMinute minutes
+    const window = Math.ceil(limits.burst / limits.perMinute * 60);
+
+    res.set({
+        'RateLimit-Policy': `${limits.burst};w=${window}`,
+        'RateLimit-Limit': String(limits.burst),
+        'RateLimit-Remaining': String(bucket.remaining),
+        'RateLimit-Reset': String(bucket.resetSeconds)
+    });
+}
+
+// Limit a route after requireAuth(): rateLimit('chat', { quotas: ['chat_messages', 'embedding_tokens'] })
+function rateLimit(group, { quotas = [] } = {}) {
+    return async (req, res, next) => {
+        const settings = getConfig().rateLimit;
+        if (!settings.enabled || !req.auth) return next();
+
+        const caller = callerKey(req.auth);
+        const day = usageDay();
+        const limits = settings.groups[group];
+        let bucket = null;
+        let exhausted;
+
+        try {
+            exhausted = await exhaustedQuota(quotas, caller, day, settings);
+
+            if (!exhausted && limits.perMinute > 0) {
+                bucket = await getRateLimitStore().take(`bucket:${group}:${caller}`, {
+                    capacity: limits.burst,
+                    refillPerSecond: limits.perMinute / 60
+                });
+                setRateLimitHeaders(res, limits, bucket);
+            }
+        } catch (error) {
+            // An unreachable shared store must not take the API down with it
+            log('warn', 'Rate limit store failed, admitting the request', { group, error: error.message });
+            return usageContext.run({ caller, day }, next);
+        }
+
+        if (exhausted) {
+            log('warn', 'Daily quota exceeded', { caller, quota: exhausted.name, limit: exhausted.limit });
+            return sendQuotaExceeded(res, quotaExceededError(exhausted.name, exhausted.limit));
+        }
+
+        if (bucket && !bucket.allowed) {
+            log('warn', 'Rate limit exceeded', { caller, group });
+            res.set('Retry-After', String(bucket.retryAfterSeconds));
+            return res.status(429).json({
+                error: 'Rate limit exceeded',
+                message: `Too many ${group} requests; retry in ${bucket.retryAfterSeconds}s`,
+                retry_after: bucket.retryAfterSeconds
+            });
+        }
+
+        const counted = [`requests_${group}`, ...quotas.filter(name => QUOTAS[name].perRequest)];
+        counted.forEach(metric => addUsage(caller, day, metric, 1));
+
+        usageContext.run({ caller, day }, next);
+    };
+}
+
+function addUsage(caller, day, metric, amount) {
+    getRateLimitStore().add(usageKey(day, caller, metric), amount, USAGE_TTL_SECONDS).catch(error => {
+        log('warn', 'Recording usage failed', { caller, metric, error: error.message });
+    });
+}
+
+function quotaFor(metric) {
+    const settings = getConfig().rateLimit;
+    return QUOTAS[metric] ? quotaLimit(metric, settings) : 0;
+}
+
+// Refuse work that would take the current caller past a daily quota, before any of it
+// is done; nothing is charged
+async function assertQuotaRoom(metric, amount) {
+    const context = usageContext.getStore();
+    const limit = quotaFor(metric);
+    if (!context || !(limit > 0) || !(amount > 0)) return;
+
+    let used;
+    try {
+        used = await getRateLimitStore().get(usageKey(context.day, context.caller, metric));
+    } catch (error) {
+        log('warn', 'Rate limit store failed, skipping the quota check', { metric, error: error.message });
+        return;
+    }
+
+    if (used + amount > limit) {
+        log('warn', 'Daily quota would be exceeded', { caller: context.caller, quota: metric, limit, requested: amount });
+        throw quotaExceededError(metric, limit);
+    }
+}
+
+// Charge usage to the current caller before doing the work, refusing it (quotaExceededError)
+// when it would pass their daily quota. Returns a refund for work that then fails.
+// Outside a rate-limited request nothing is charged.
+async function chargeUsage(metric, amount) {
+    const context = usageContext.getStore();
+    if (!context || !(amount > 0)) return async () => {};
+
+    const limit = quotaFor(metric);
+    const key = usageKey(context.day, context.caller, metric);
+    const refund = () => getRateLimitStore().add(key, -amount, USAGE_TTL_SECONDS).catch(error => {
+        log('warn', 'Refunding usage failed', { caller: context.caller, metric, error: error.message });
+    });
+
+    let total;
+    try {
+        total = await getRateLimitStore().add(key, amount, USAGE_TTL_SECONDS);
+    } catch (error) {
+        // As in the middleware, an unreachable store admits the work
+        log('warn', 'Recording usage failed', { caller: context.caller, metric, error: error.message });
+        return async () => {};
+    }
+
+    if (limit > 0 && total > limit) {
+        await refund();
+        log('warn', 'Daily quota exceeded', { caller: context.caller, quota: metric, limit });
+        throw quotaExceededError(metric, limit);
+    }
+
+    return refund;
+}
+
+// Charge the work fn() does to a caller of its own (e.g. 'system:notion-sync') rather than
+// to whoever started it
+function runAsCaller(caller, fn) {
+    if (!getConfig().rateLimit.enabled) return usageContext.exit(fn);
+    return usageContext.run({ caller, day: usageDay() }, fn);
+}
+
+// /api/admin/usage: every caller's counters for a day, with their quota headroom
+async function getUsageReport({ day, user } = {}) {
+    const settings = getConfig().rateLimit;
+    const reportDay = day ? String(day).slice(0, 10) : usageDay();
+    const prefix = `usage:${reportDay}:`;
+    const callers = new Map();
+
+    (await getRateLimitStore().list(prefix)).forEach(([key, value]) => {
+        const rest = key.slice(prefix.length);
+        const split = rest.lastIndexOf(':');
+        const caller = rest.slice(0, split);
+
+        if (!callers.has(caller)) callers.set(caller, {});
+        callers.get(caller)[rest.slice(split + 1)] = value;
+    });
+
+    const wanted = user && user.toLowerCase();
+    const users = [...callers.entries()]
+        .filter(([caller]) => !wanted || caller === wanted || caller.slice(caller.indexOf(':') + 1) === wanted)
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([caller, usage]) => ({
+            caller,
+            usage,
+            quota_remaining: Object.fromEntries(Object.keys(QUOTAS).map(name => {
+                const limit = quotaLimit(name, settings);
+                return [name, limit > 0 ? Math.max(0, limit - (usage[name] || 0)) : null];
+            }))
+        }));
+
+    return {
+        day: reportDay,
+        store: getRateLimitStore().name || settings.store,
+        rate_limits: settings.enabled ? settings.groups : null,
+        quotas: Object.fromEntries(Object.keys(QUOTAS).map(name => [name, quotaLimit(name, settings) || null])),
+        users
+    };
+}
+
+module.exports = {
+    createRateLimitStore,
+    rateLimit,
+    sendQuotaExceeded,
+    assertQuotaRoom,
+    chargeUsage,
+    runAsCaller,
+    getUsageReport
+};
@@ -0,0 +1,268 @@
+// Chronological feed over the Pinecone collections, for /api/recent
+//
+// Pinecone can't sort by metadata, so each collection keeps an in-memory snapshot of its
+// records' metadata: listed and fetched from the namespace (serverless indexes only),
+// re-listed after RECENT_REFRESH_SECONDS with only the new ids fetched, and kept current
+// in between by every upsert and delete made through lib/pinecone.js.
+// The feed filters, groups and sorts that snapshot by date_ended, newest first.
+//
+// A collection that can't be listed (pod-based indexes) or holds more than
+// RECENT_MAX_RECORDS records is read per request instead: a query filtered to the
+// window on the numeric date_ended_day, which returns at most QUERY_TOP_K records.
+// Records ingested or synced before date_ended_day existed are missing from that
+// query until they are re-ingested or re-synced.
+
+const { log } = require('./log');
+const {
+    listVectorIds,
+    fetchVectors,
+    queryByMetadata,
+    isPineconeValidationError,
+    resolveCollectionNames,
+    getCollection,
+    onVectorsWritten
+} = require('./pinecone');
+const { canReadRecord } = require('./access');
+const { mapMatchToResult } = require('./search');
+const { epochDay } = require('./format');
+const { getConfig } = require('./config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Ids per list call (Pinecone's maximum)
+const LIST_PAGE_SIZE = 100;
+
+// Records per windowed query (Pinecone's maximum with metadata)
+const QUERY_TOP_K = 1000;
+
+// Chunk text kept per record; entries only show the first 300 characters
+const SNIPPET_LENGTH = 300;
+
+// Collection name -> { mode, records: Map(id -> { id, metadata, seenAt }), refreshedAt, refreshing }
+// mode is 'snapshot', or 'query' once the collection turned out unlistable or too large
+const snapshots = new Map();
+
+function snapshotFor(name) {
+    if (!snapshots.has(name)) {
+        snapshots.set(name, { mode: 'snapshot', records: new Map(), refreshedAt: 0, refreshing: null });
+    }
+    return snapshots.get(name);
+}
+
+function snapshotUnavailable(message) {
+    const error = new Error(message);
+    error.snapshotUnavailable = true;
+    return error;
+}
+
+function slimMetadata(metadata = {}) {
+    const slim = { ...metadata };
+    ['chunk_text', 'text'].forEach(field => {
+        if (typeof slim[field] === 'string') slim[field] = slim[field].slice(0, SNIPPET_LENGTH);
+    });
+    return slim;
+}
+
+function storeRecord(snapshot, id, metadata, seenAt) {
+    snapshot.records.set(id, { id, metadata: slimMetadata(metadata), seenAt });
+}
+
+// Writes made through this process show up without waiting for the next refresh
+onVectorsWritten((name, { upserted = [], deleted = [] }) => {
+    const snapshot = snapshots.get(name);
+    if (!snapshot?.refreshedAt) return;
+
+    const now = Date.now();
+    upserted.forEach(vector => storeRecord(snapshot, vector.id, vector.metadata, now));
+    deleted.forEach(id => snapshot.records.delete(id));
+});
+
+// Every id in the collection; gives up past RECENT_MAX_RECORDS rather than holding them all
+async function listAllIds(name) {
+    const { maxRecords } = getConfig().recent;
+    const ids = new Set();
+    let paginationToken = null;
+
+    do {
+        let page;
+        try {
+            page = await listVectorIds(name, { paginationToken, limit: LIST_PAGE_SIZE });
+        } catch (error) {
+            // Pod-based indexes refuse list requests outright
+            if (isPineconeValidationError(error)) throw snapshotUnavailable(`listing is not supported: ${error.message}`);
+            throw error;
+        }
+
+        page.ids.forEach(id => ids.add(id));
+        if (ids.size > maxRecords) {
+            throw snapshotUnavailable(`more than RECENT_MAX_RECORDS (${maxRecords}) records`);
+        }
+        paginationToken = page.next;
+    } while (paginationToken);
+
+    return ids;
+}
+
+// Fetch ids not seen before and drop ids no longer listed. Records written while the
+// refresh runs are newer than its listing and are kept.
+async function refreshSnapshot(name, snapshot) {
+    const startedAt = Date.now();
+    const listed = await listAllIds(name);
+    const unseen = [...listed].filter(id => !snapshot.records.has(id));
+    const fetched = await fetchVectors(unseen, name);
+
+    fetched.forEach(record => {
+        if (!snapshot.records.has(record.id)) storeRecord(snapshot, record.id, record.metadata, startedAt);
+    });
+    snapshot.records.forEach((record, id) => {
+        if (!listed.has(id) && record.seenAt <= startedAt) snapshot.records.delete(id);
+    });
+
+    snapshot.refreshedAt = Date.now();
+    log('info', 'Recent index refreshed', {
+        collection: name,
+        records: snapshot.records.size,
+        fetched: fetched.length,
+        duration_ms: snapshot.refreshedAt - startedAt
+    });
+}
+
+// The collection's snapshot, refreshed first when stale. Concurrent requests share one
+// refresh; a failed refresh falls back to the previous snapshot if there is one.
+async function freshSnapshot(name) {
+    const snapshot = snapshotFor(name);
+    const maxAge = getConfig().recent.refreshSeconds * 1000;
+    if (snapshot.refreshedAt && Date.now() - snapshot.refreshedAt < maxAge) return snapshot;
+
+    if (!snapshot.refreshing) {
+        snapshot.refreshing = refreshSnapshot(name, snapshot).finally(() => {
+            snapshot.refreshing = null;
+        });
+    }
+
+    try {
+        await snapshot.refreshing;
+    } catch (error) {
+        if (!snapshot.refreshedAt || error.snapshotUnavailable) throw error;
+        log('warn', 'Recent index refresh failed, serving the previous snapshot', { collection: name, error: error.message });
+    }
+
+    return snapshot;
+}
+
+// The window's records straight from Pinecone, for collections without a snapshot
+async function queryWindow(name, { since, access }) {
+    const filter = { date_ended_day: { $gte: epochDay(since) } };
+    const matches = await queryByMetadata(name, { filter, topK: QUERY_TOP_K, access });
+    if (matches.length === QUERY_TOP_K) {
+        log('warn', 'Recent query hit its limit, older entries in the window are missing', { collection: name, since, limit: QUERY_TOP_K });
+    }
+
+    return matches.map(match => ({ id: match.id, metadata: slimMetadata(match.metadata) }));
+}
+
+// A collection's records: from its snapshot, or queried when it can't have one
+async function collectionRecords(name, window) {
+    const snapshot = snapshotFor(name);
+
+    if (snapshot.mode === 'snapshot') {
+        try {
+            return [...(await freshSnapshot(name)).records.values()];
+        } catch (error) {
+            if (!error.snapshotUnavailable) throw error;
+
+            log('warn', 'Recent index can\'t snapshot collection, querying it per request', { collection: name, reason: error.message });
+            snapshot.mode = 'query';
+            snapshot.records = new Map();
+            snapshot.refreshedAt = 0;
+        }
+    }
+
+    return queryWindow(name, window);
+}
+
+// Records of several collections; one unreachable collection doesn't hide the others
+async function loadRecords(names, window) {
+    const settled = await Promise.allSettled(names.map(name => collectionRecords(name, window)));
+
+    const failures = settled
+        .map((result, i) => ({ result, collection: names[i] }))
+        .filter(({ result }) => result.status === 'rejected');
+
+    if (failures.length === names.length) {
+        throw failures[0].result.reason;
+    }
+
+    failures.forEach(({ result, collection }) => {
+        log('warn', 'Recent index unavailable for collection', { collection, error: result.reason.message });
+    });
+
+    return settled.flatMap((result, i) => {
+        if (result.status === 'rejected') return [];
+
+        const collection = getCollection(names[i]);
+        return result.value.map(record => ({
+            ...record,
+            collection: collection.name,
+            ...(collection.sourceType && { sourceType: collection.sourceType })
+        }));
+    });
+}
+
+// Chunks of one ingested document (or synced Notion page) share a parent id
+function parentId(record) {
+    return record.metadata.document_id || record.metadata.notion_page_id || record.id;
+}
+
+function toEntry(id, records) {
+    const [first] = [...records].sort((a, b) => (a.metadata.chunk_index ?? 0) - (b.metadata.chunk_index ?? 0));
+    const { score, ...entry } = mapMatchToResult(first);
+
+    return {
+        ...entry,
+        id,
+        actionItems: first.metadata.action_items,
+        decisions: first.metadata.decisions_made,
+        date_ended: records.reduce((latest, record) => (record.metadata.date_ended > latest ? record.metadata.date_ended : latest), ''),
+        ...(first.metadata.document_id && { document_id: first.metadata.document_id }),
+        chunks: records.length
+    };
+}
+
+// Entries the caller may read dated on or after `since` (YYYY-MM-DD), newest first.
+// With `group`, the chunks of a document make one entry; otherwise every record is one.
+async function listRecentEntries({ access, collections, since, group = true }) {
+    const records = await loadRecords(resolveCollectionNames(collections), { since, access });
+
+    const visible = records.filter(record => {
+        const date = record.metadata.date_ended;
+        return typeof date === 'string' && date >= since && canReadRecord(access, record.metadata);
+    });
+
+    const groups = new Map();
+    visible.forEach(record => {
+        const key = `${record.collection}/${group ? parentId(record) : record.id}`;
+        groups.set(key, [...(groups.get(key) || []), record]);
+    });
+
+    return [...groups.entries()]
+        .map(([key, members]) => ({ key, entry: toEntry(group ? parentId(members[0]) : members[0].id, members) }))
+        .sort((a, b) => (b.entry.date_ended.localeCompare(a.entry.date_ended) || a.key.localeCompare(b.key)));
+}
+
+// First day of the window: an explicit since date, else `days` back from today
+function recentCutoff({ since, days = 30 }) {
+    if (since) return String(since).slice(0, 10);
+    return new Date(Date.now() - days * DAY_MS).toISOString().split('T')[0];
+}
+
+// /api/admin/health: mode, record counts and snapshot age per collection
+function getRecentIndexStatus() {
+    return Object.fromEntries([...snapshots.entries()].map(([name, snapshot]) => [name, {
+        mode: snapshot.mode,
+        records: snapshot.records.size,
+        refreshed_at: snapshot.refreshedAt ? new Date(snapshot.refreshedAt).toISOString() : null
+    }]));
+}
+
+module.exports = { listRecentEntries, recentCutoff, getRecentIndexStatus };
@@ -0,0 +1,13 @@
+// Context carried through a request's async calls: its request id and the active trace span.
+// lib/log.js stamps every line with it and lib/tracing.js parents new spans on it.
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+// { requestId, trace: { traceId, spanId, sampled } | null }
+const requestContext = new AsyncLocalStorage();
+
+function currentContext() {
+    return requestContext.getStore() || null;
+}
+
+module.exports = { requestContext, currentContext };
@@ -0,0 +1,185 @@
+// Reranking of Pinecone matches after retrieval
+//
+// Stage 1 scores every match as a weighted sum of
+//   semantic    the Pinecone similarity score
+//   recency     exponential decay on date_ended (RERANK_RECENCY_HALF_LIFE_DAYS)
+//   importance  deriveImportance mapped to IMPORTANCE_WEIGHTS
+// Stage 2 (RERANK_PROVIDER) re-scores the top RERANK_CANDIDATES with a reranker:
+//   http   a Cohere/Jina-style rerank API: { model, query, documents } -> results[{ index, relevance_score }]
+//   local  query-term overlap, no network access
+// and adds its weighted score to theirs. Each match gets its breakdown in `ranking`.
+
+const axios = require('axios');
+const { log } = require('./log');
+const { callUpstream } = require('./resilience');
+const { deriveImportance } = require('./format');
+const { getConfig } = require('./config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const IMPORTANCE_WEIGHTS = {
+    critical: 1,
+    high: 0.75,
+    medium: 0.5,
+    low: 0.25
+};
+
+let reranker = null;
+
+function matchText(match) {
+    const metadata = match.metadata || {};
+    return metadata.chunk_text || metadata.text || metadata.title || '';
+}
+
+function terms(text) {
+    return String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+function createHttpReranker(settings) {
+    const headers = settings.apiKey ? {
+        [settings.apiKeyHeader]: settings.apiKeyHeader === 'Authorization' ? `Bearer ${settings.apiKey}` : settings.apiKey
+    } : {};
+
+    return {
+        name: 'http',
+        score: async (query, documents, { signal } = {}) => {
+            const response = await callUpstream('rerank', () => axios.post(settings.url, {
+                ...(settings.model && { model: settings.model }),
+                query,
+                documents,
+                top_n: documents.length
+            }, {
+                headers: { ...headers, 'Content-Type': 'application/json' },
+                signal,
+                timeout: 15000
+            }), { operation: 'rerank' });
+
+            const scores = new Array(documents.length).fill(0);
+            (response.data.results || response.data.data || []).forEach(({ index, relevance_score: score }) => {
+                if (index >= 0 && index < scores.length) scores[index] = score;
+            });
+            return scores;
+        }
+    };
+}
+
+// Share of the query's distinct terms that appear in the document
+function createLocalReranker() {
+    return {
+        name: 'local',
+        score: async (query, documents) => {
+            const queryTerms = [...new Set(terms(query))];
+            if (queryTerms.length === 0) return documents.map(() => 0);
+
+            return documents.map(document => {
+                const documentTerms = new Set(terms(document));
+                return queryTerms.filter(term => documentTerms.has(term)).length / queryTerms.length;
+            });
+        }
+    };
+}
+
+const PROVIDERS = {
+    'http': createHttpReranker,
+    'local': createLocalReranker
+};
+
+function createReranker(config = getConfig()) {
+    const name = config.rerank.provider;
+    if (name === 'none') return null;
+
+    const factory = PROVIDERS[name];
+    if (!factory) {
+        throw new Error(`Unknown RERANK_PROVIDER "${name}"; expected one of none, ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+
+    return factory(config.rerank, config);
+}
+
+function getReranker() {
+    if (reranker === null) reranker = createReranker() || false;
+    return reranker;
+}
+
+function recencyScore(dateEnded, halfLifeDays, now) {
+    const time = dateEnded ? Date.parse(dateEnded) : NaN;
+    if (Number.isNaN(time)) return { recency: 0, ageDays: null };
+
+    const ageDays = Math.max(0, (now - time) / DAY_MS);
+    return { recency: Math.pow(0.5, ageDays / halfLifeDays), ageDays: Math.round(ageDays) };
+}
+
+function round(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+// Stage 1: weighted semantic, recency and importance scores, best first
+function scoreMatches(matches, settings, now = Date.now()) {
+    const { weights } = settings;
+
+    return matches
+        .map(match => {
+            const semantic = match.score || 0;
+            const { recency, ageDays } = recencyScore(match.metadata?.date_ended, settings.recencyHalfLifeDays, now);
+            const importanceLevel = deriveImportance(match.metadata || {});
+            const importance = IMPORTANCE_WEIGHTS[importanceLevel] ?? 0;
+            const score = weights.semantic * semantic + weights.recency * recency + weights.importance * importance;
+
+            return {
+                ...match,
+                ranking: {
+                    score: round(score),
+                    semantic: round(semantic),
+                    recency: round(recency),
+                    importance: importance,
+                    importance_level: importanceLevel,
+                    age_days: ageDays
+                }
+            };
+        })
+        .sort((a, b) => b.ranking.score - a.ranking.score);
+}
+
+// Stage 2: add the reranker's weighted score to the top candidates and re-sort them.
+// A failing reranker leaves the stage 1 order; a cancelled request stops here.
+async function applyReranker(query, ranked, settings, signal) {
+    const stage = getReranker();
+    if (!stage || ranked.length === 0) return ranked;
+
+    const candidates = ranked.slice(0, settings.candidates);
+
+    let scores;
+    try {
+        scores = await stage.score(query, candidates.map(matchText), { signal });
+    } catch (error) {
+        if (signal?.aborted) throw error;
+        log('warn', 'Reranker failed, keeping first-stage order', { provider: stage.name, error: error.message });
+        return ranked;
+    }
+
+    const reranked = candidates
+        .map((match, i) => {
+            const rerankerScore = scores[i] || 0;
+            return {
+                ...match,
+                ranking: {
+                    ...match.ranking,
+                    score: round(match.ranking.score + settings.weights.reranker * rerankerScore),
+                    reranker: round(rerankerScore)
+                }
+            };
+        })
+        .sort((a, b) => b.ranking.score - a.ranking.score);
+
+    return [...reranked, ...ranked.slice(candidates.length)];
+}
+
+// Rerank raw matches for a query; a no-op when RERANK_ENABLED=false
+async function rerankMatches(query, matches, { signal } = {}) {
+    const settings = getConfig().rerank;
+    if (!settings.enabled) return matches;
+
+    return applyReranker(query, scoreMatches(matches, settings), settings, signal);
+}
+
+module.exports = { IMPORTANCE_WEIGHTS, createReranker, scoreMatches, rerankMatches };
@@ -0,0 +1,296 @@
+// Resilience for outbound calls. Every request to an upstream (UPSTREAMS in lib/config.js)
+// goes through callUpstream, which
+//   - limits concurrent requests per upstream, queueing the rest
+//   - retries transient failures (429, 5xx, dropped connections) with jittered exponential
+//     backoff, waiting out Retry-After when the upstream sends one
+//   - trips a circuit breaker after UPSTREAM_BREAKER_THRESHOLD consecutive failed calls:
+//     while open, calls fail at once; after UPSTREAM_BREAKER_RESET_SECONDS one trial call
+//     decides whether it closes again
+// A call that still fails is rethrown with `upstream` and `upstreamUnavailable` set, so
+// routes can answer 503 instead of a generic 500.
+// Each call is also a client span under the request's trace and is counted and timed in
+// the upstream_* metrics.
+
+const { log } = require('./log');
+const { counter, histogram, gauge } = require('./metrics');
+const { withSpan } = require('./tracing');
+const { UPSTREAMS, getConfig } = require('./config');
+
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+
+const RETRYABLE_CODES = new Set([
+    'ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'ETIMEDOUT', 'EAI_AGAIN', 'ENETUNREACH',
+    'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'
+]);
+
+// The Pinecone SDK reports these statuses as error classes rather than numbers
+const PINECONE_UNAVAILABLE_ERRORS = new Set(['PineconeInternalServerError', 'PineconeUnavailableError', 'PineconeConnectionError']);
+
+// Upstream name -> concurrency queue, breaker state and counters
+const upstreams = new Map();
+
+const CIRCUIT_STATE_VALUES = { closed: 0, half_open: 1, open: 2 };
+
+const upstreamRequests = counter('upstream_requests_total',
+    'Calls to upstream services by outcome: success, client_error, rate_limited, unavailable, timeout or circuit_open',
+    ['upstream', 'operation', 'outcome']);
+const upstreamDuration = histogram('upstream_request_duration_seconds',
+    'Upstream call latency in seconds, retries and queueing included', ['upstream', 'operation']);
+const upstreamRetries = counter('upstream_retries_total', 'Upstream attempts retried after a transient failure', ['upstream']);
+
+gauge('upstream_circuit_state', 'Circuit breaker state per upstream: 0 closed, 1 half open, 2 open',
+    () => UPSTREAMS.map(name => ({ labels: { upstream: name }, value: CIRCUIT_STATE_VALUES[upstreamState(name).state] })));
+gauge('upstream_queued_requests', 'Upstream calls waiting for a concurrency slot',
+    () => UPSTREAMS.map(name => ({ labels: { upstream: name }, value: upstreamState(name).queue.length })));
+
+function upstreamState(name) {
+    if (!upstreams.has(name)) {
+        upstreams.set(name, {
+            active: 0,
+            queue: [],
+            state: 'closed',
+            consecutiveFailures: 0,
+            openedAt: null,
+            trialInFlight: false,
+            calls: 0,
+            retries: 0,
+            failures: 0,
+            rejected: 0
+        });
+    }
+    return upstreams.get(name);
+}
+
+function errorStatus(error) {
+    if (error?.response?.status) return error.response.status;
+
+    // Statuses without an SDK error class only appear in the message
+    const match = /Status: (\d{3})/.exec(error?.name === 'PineconeUnmappedHttpError' ? error.message : '');
+    return match ? Number(match[1]) : null;
+}
+
+// rate_limited, unavailable, timeout, or null when the upstream answered and the request was at fault
+function classifyFailure(error) {
+    const status = errorStatus(error);
+    if (status === 429) return 'rate_limited';
+    if (status && RETRYABLE_STATUSES.has(status)) return 'unavailable';
+    if (status) return null;
+
+    if (PINECONE_UNAVAILABLE_ERRORS.has(error?.name)) return 'unavailable';
+    // axios reports its own timeout as ECONNABORTED; waiting that long again isn't worth it
+    if (error?.code === 'ECONNABORTED') return 'timeout';
+    if (RETRYABLE_CODES.has(error?.code) || RETRYABLE_CODES.has(error?.cause?.code)) return 'unavailable';
+
+    return null;
+}
+
+// Seconds from a Retry-After header (delta seconds or an HTTP date)
+function retryAfterSeconds(error) {
+    const header = error?.response?.headers?.['retry-after'];
+    if (header === undefined || header === null || header === '') return null;
+
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds);
+
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+// Milliseconds to wait before the next attempt, or null to give up
+function retryDelay(error, kind, attempt, { retries, idempotent }, settings) {
+    if (attempt >= retries || kind === 'timeout') return null;
+
+    // A request that may have been processed is only repeated when the upstream refused it
+    const refused = kind === 'rate_limited' || error?.code === 'ECONNREFUSED' || error?.cause?.code === 'ECONNREFUSED';
+    if (!idempotent && !refused) return null;
+
+    const retryAfter = retryAfterSeconds(error);
+    if (retryAfter !== null) {
+        return retryAfter <= settings.maxRetryAfterSeconds ? retryAfter * 1000 : null;
+    }
+
+    // Full jitter: anywhere up to the exponential ceiling
+    return Math.round(Math.random() * Math.min(settings.retryMaxMs, settings.retryBaseMs * 2 ** attempt));
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function acquire(upstream, limit) {
+    if (upstream.active < limit) {
+        upstream.active++;
+        return Promise.resolve();
+    }
+    return new Promise(resolve => upstream.queue.push(resolve));
+}
+
+// Hand the slot to the next queued call, if any
+function release(upstream) {
+    const next = upstream.queue.shift();
+    if (next) {
+        next();
+    } else {
+        upstream.active--;
+    }
+}
+
+function circuitOpenError(name, upstream, settings) {
+    const remaining = upstream.openedAt + settings.breakerResetSeconds * 1000 - Date.now();
+    const retryAfter = Math.max(1, Math.ceil(remaining / 1000));
+
+    const error = new Error(`${name} is unavailable after repeated failures; retry in ${retryAfter}s`);
+    error.statusCode = 503;
+    error.upstream = name;
+    error.upstreamUnavailable = true;
+    error.circuitOpen = true;
+    error.retryAfter = retryAfter;
+    return error;
+}
+
+// Let a call through the breaker; returns whether it is the half-open trial call
+function admit(name, upstream, settings) {
+    if (upstream.state === 'open') {
+        if (Date.now() - upstream.openedAt < settings.breakerResetSeconds * 1000) {
+            upstream.rejected++;
+            throw circuitOpenError(name, upstream, settings);
+        }
+        upstream.state = 'half_open';
+    }
+
+    if (upstream.state === 'half_open') {
+        if (upstream.trialInFlight) {
+            upstream.rejected++;
+            throw circuitOpenError(name, upstream, settings);
+        }
+        upstream.trialInFlight = true;
+        return true;
+    }
+
+    return false;
+}
+
+function recordSuccess(name, upstream) {
+    if (upstream.state !== 'closed') {
+        log('info', 'Upstream circuit closed', { upstream: name });
+    }
+    upstream.state = 'closed';
+    upstream.consecutiveFailures = 0;
+    upstream.openedAt = null;
+}
+
+function recordFailure(name, upstream, settings) {
+    upstream.failures++;
+    upstream.consecutiveFailures++;
+
+    if (upstream.state === 'half_open' || upstream.consecutiveFailures >= settings.breakerThreshold) {
+        if (upstream.state !== 'open') {
+            log('warn', 'Upstream circuit opened', {
+                upstream: name,
+                consecutive_failures: upstream.consecutiveFailures,
+                reset_seconds: settings.breakerResetSeconds
+            });
+        }
+        upstream.state = 'open';
+        upstream.openedAt = Date.now();
+    }
+}
+
+async function attemptUpstream(name, request, idempotent, span) {
+    const settings = getConfig().resilience;
+    const { retries, concurrency } = settings.upstreams[name];
+    const upstream = upstreamState(name);
+    const trial = admit(name, upstream, settings);
+
+    upstream.calls++;
+
+    try {
+        for (let attempt = 0; ; attempt++) {
+            let delay;
+
+            span.setAttributes({ 'upstream.attempts': attempt + 1 });
+            await acquire(upstream, concurrency);
+            try {
+                const result = await request();
+                recordSuccess(name, upstream);
+                return result;
+            } catch (error) {
+                const kind = classifyFailure(error);
+
+                // The upstream is up; the request itself was refused
+                if (!kind) {
+                    recordSuccess(name, upstream);
+                    throw error;
+                }
+
+                delay = retryDelay(error, kind, attempt, { retries, idempotent }, settings);
+                if (delay === null) {
+                    recordFailure(name, upstream, settings);
+                    error.upstream = name;
+                    error.upstreamUnavailable = true;
+                    error.retryAfter = retryAfterSeconds(error) ?? undefined;
+                    throw error;
+                }
+
+                upstream.retries++;
+                upstreamRetries.inc({ upstream: name });
+                span.addEvent('retry', { attempt: attempt + 1, failure: kind, delay_ms: delay, error: error.message });
+                log('warn', 'Upstream call failed, retrying', {
+                    upstream: name,
+                    attempt: attempt + 1,
+                    failure: kind,
+                    delay_ms: delay,
+                    error: error.message
+                });
+            } finally {
+                release(upstream);
+            }
+
+            await sleep(delay);
+        }
+    } finally {
+        if (trial) upstream.trialInFlight = false;
+    }
+}
+
+// Run request() against an upstream. `operation` names the call in spans and metrics
+// (query, upsert, completion ...). Mark calls that must not be repeated once the upstream
+// may have acted on them (webhooks) with idempotent: false.
+async function callUpstream(name, request, { idempotent = true, operation = 'request' } = {}) {
+    const labels = { upstream: name, operation };
+    const start = process.hrtime.bigint();
+    let outcome = 'success';
+
+    try {
+        return await withSpan(`${name} ${operation}`, {
+            kind: 'client',
+            attributes: { 'upstream.name': name, 'upstream.operation': operation }
+        }, span => attemptUpstream(name, request, idempotent, span));
+    } catch (error) {
+        outcome = error.circuitOpen ? 'circuit_open' : (classifyFailure(error) || 'client_error');
+        throw error;
+    } finally {
+        upstreamRequests.inc({ ...labels, outcome });
+        upstreamDuration.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+    }
+}
+
+// /api/admin/health: breaker state and counters per upstream
+function getUpstreamStatus() {
+    return Object.fromEntries(UPSTREAMS.map(name => {
+        const upstream = upstreamState(name);
+        return [name, {
+            state: upstream.state,
+            consecutive_failures: upstream.consecutiveFailures,
+            opened_at: upstream.openedAt ? new Date(upstream.openedAt).toISOString() : null,
+            active: upstream.active,
+            queued: upstream.queue.length,
+            calls: upstream.calls,
+            retries: upstream.retries,
+            failures: upstream.failures,
+            rejected: upstream.rejected
+        }];
+    }));
+}
+
+module.exports = { callUpstream, classifyFailure, getUpstreamStatus };
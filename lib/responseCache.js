@@ -0,0 +1,163 @@
+// Response cache for the search and listing routes
+//
+// Entries are keyed on the route, the validated (normalized) request and the caller's
+// access principals, so callers who may read different documents never share an entry.
+// Each entry is tagged with the data it was read from ("pinecone:<collection>",
+// "notion:<database>"); writes through lib/pinecone.js and Notion sync runs drop the
+// entries tagged with what they changed.
+//
+// GET responses carry a content-hash ETag and Express answers a matching If-None-Match
+// with 304; POST responses can't be revalidated, so they get none. Bodies go out through
+// res.json, where lib/validation.js checks them against the route's response schema.
+// Concurrent misses for one key share a single computation.
+
+const crypto = require('crypto');
+const { log } = require('./log');
+const { onVectorsWritten } = require('./pinecone');
+const { getConfig } = require('./config');
+
+// key -> { body, etag, tags, freshUntil, staleUntil }; Map order doubles as LRU order
+const entries = new Map();
+
+// key -> promise of the entry being computed
+const inFlight = new Map();
+
+const stats = { hits: 0, stale_hits: 0, misses: 0, revalidations: 0, invalidations: 0, evictions: 0 };
+
+// Bumped by every invalidation; a computation that started before one isn't stored
+let generation = 0;
+
+// Sorted keys and collapsed whitespace, so equivalent requests share an entry
+function normalize(value) {
+    if (Array.isArray(value)) return value.map(normalize);
+    if (typeof value === 'string') return value.trim().replace(/\s+/g, ' ');
+    if (!value || typeof value !== 'object') return value;
+
+    return Object.fromEntries(Object.keys(value)
+        .filter(key => value[key] !== undefined)
+        .sort()
+        .map(key => [key, normalize(value[key])]));
+}
+
+function cacheKey(route, request, access) {
+    const principals = [...(access?.principals || [])].sort();
+
+    return crypto.createHash('sha256')
+        .update(JSON.stringify([route, normalize(request), principals]))
+        .digest('hex');
+}
+
+function remember(key, entry) {
+    const { maxEntries } = getConfig().responseCache;
+
+    entries.delete(key);
+    entries.set(key, entry);
+
+    while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+        stats.evictions++;
+    }
+}
+
+// Compute, serialize and (unless it is uncacheable or was invalidated meanwhile) store
+function compute(key, { ttl, stale, tags, cacheable }, producer) {
+    if (inFlight.has(key)) return inFlight.get(key);
+
+    const startedAt = generation;
+    const promise = producer()
+        .then(body => {
+            const json = JSON.stringify(body);
+            const now = Date.now();
+            const entry = {
+                body,
+                etag: `"${crypto.createHash('sha1').update(json).digest('base64url')}"`,
+                tags,
+                freshUntil: now + ttl * 1000,
+                staleUntil: now + (ttl + stale) * 1000
+            };
+
+            if (ttl > 0 && cacheable(body) && startedAt === generation) {
+                remember(key, entry);
+            }
+            return entry;
+        })
+        .finally(() => inFlight.delete(key));
+
+    inFlight.set(key, promise);
+    return promise;
+}
+
+function send(req, res, entry, status) {
+    res.set({
+        // Per-caller content: browsers may keep it but must revalidate with the ETag
+        'Cache-Control': 'private, no-cache',
+        'X-Cache': status
+    });
+    if (req.method === 'GET') res.set('ETag', entry.etag);
+
+    res.json(entry.body);
+}
+
+// Answer a request from the cache, calling producer() for the response body on a miss.
+//   route      the route key, e.g. 'GET /api/recent'
+//   request    the validated query or body the response depends on
+//   ttl        seconds the response stays fresh
+//   stale      seconds past ttl it may still be served while a background refresh runs
+//   tags       data the response was read from, for invalidation
+//   cacheable  body -> false for responses that must not be reused (partial, degraded)
+async function respondCached(req, res, { route, request, ttl, stale = 0, tags = [], cacheable = () => true }, producer) {
+    if (!getConfig().responseCache.enabled) {
+        return send(req, res, await compute(cacheKey(route, request, req.access), { ttl: 0, stale: 0, tags, cacheable }, producer), 'BYPASS');
+    }
+
+    const key = cacheKey(route, request, req.access);
+    const entry = entries.get(key);
+    const now = Date.now();
+
+    if (entry && now < entry.freshUntil) {
+        stats.hits++;
+        remember(key, entry);
+        return send(req, res, entry, 'HIT');
+    }
+
+    if (entry && now < entry.staleUntil) {
+        stats.stale_hits++;
+
+        if (!inFlight.has(key)) {
+            stats.revalidations++;
+            compute(key, { ttl, stale, tags, cacheable }, producer).catch(error => {
+                log('warn', 'Background response refresh failed', { route, error: error.message });
+            });
+        }
+        return send(req, res, entry, 'STALE');
+    }
+
+    stats.misses++;
+    return send(req, res, await compute(key, { ttl, stale, tags, cacheable }, producer), 'MISS');
+}
+
+// Drop every entry read from any of the tags
+function invalidateResponses(tags) {
+    const dropped = new Set(tags);
+    let count = 0;
+
+    generation++;
+    entries.forEach((entry, key) => {
+        if (entry.tags.some(tag => dropped.has(tag))) {
+            entries.delete(key);
+            count++;
+        }
+    });
+
+    stats.invalidations++;
+    if (count) log('info', 'Cached responses invalidated', { tags: [...dropped], entries: count });
+}
+
+// Ingestion, Notion sync and anything else writing vectors
+onVectorsWritten(collection => invalidateResponses([`pinecone:${collection}`]));
+
+function getResponseCacheStats() {
+    return { enabled: getConfig().responseCache.enabled, entries: entries.size, ...stats };
+}
+
+module.exports = { respondCached, invalidateResponses, getResponseCacheStats };
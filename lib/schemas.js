@@ -0,0 +1,690 @@
+// JSON Schemas for every route: query, body and success response.
+// lib/validation.js enforces them; GET /api/schema, /openapi.json, the TypingMind plugin
+// and the endpoint lists in /api/admin/health and the 404 handler are all generated from them.
+//
+// A route may also carry:
+//   status  - success status when it isn't 200
+//   plugin  - exposes the route as a TypingMind tool: name, description and the
+//             request fields the model may fill in
+
+const stringList = { type: 'array', items: { type: 'string', minLength: 1 }, maxItems: 50 };
+
+// A single value or a list; ingestion and Notion accept comma-separated strings too
+const stringOrList = { anyOf: [{ type: 'string' }, stringList] };
+
+// `format: 'date'` (lib/validation.js) also rejects days that don't exist, like 2024-02-30
+const isoDate = {
+    type: 'string',
+    pattern: '^\\d{4}-\\d{2}-\\d{2}$',
+    format: 'date',
+    description: 'ISO 8601 date, YYYY-MM-DD'
+};
+
+// Filters the Pinecone routes can apply; unknown fields are refused rather than ignored
+const filters = {
+    type: 'object',
+    description: 'Optional metadata filters; every given filter must match, any of the values within one',
+    properties: {
+        source_type: stringList,
+        tags: stringList,
+        tags_mode: { enum: ['any', 'all'], default: 'any', description: 'Match entries with any (default) or all of the tags' },
+        people_involved: stringList,
+        date_range: {
+            type: 'object',
+            description: 'Inclusive; either end may be left open',
+            properties: { from: isoDate, to: isoDate },
+            anyOf: [{ required: ['from'] }, { required: ['to'] }],
+            additionalProperties: false
+        }
+    },
+    additionalProperties: false
+};
+
+// Notion entries carry more structured properties than the vector metadata. Importance is
+// only a Notion property; for vectors it is derived from several fields at read time.
+const notionFilters = {
+    ...filters,
+    properties: {
+        ...filters.properties,
+        importance: stringList,
+        type: stringList,
+        phase: stringList,
+        has_action_items: { type: 'boolean', description: 'Only entries with (true) or without (false) action items' },
+        has_open_questions: { type: 'boolean', description: 'Only entries with (true) or without (false) open questions' }
+    }
+};
+
+const collections = {
+    ...stringOrList,
+    description: 'Collection name, comma-separated names or a list; defaults to the configured default collections'
+};
+
+const notionDatabase = {
+    type: 'string',
+    minLength: 1,
+    description: 'Configured Notion database to read; defaults to NOTION_DEFAULT_DATABASE'
+};
+
+const query = { type: 'string', minLength: 1, maxLength: 2000, description: 'What to search for, in natural language' };
+
+const page = (maxLimit) => ({
+    limit: { type: 'integer', minimum: 1, maximum: maxLimit, description: 'Results per page' },
+    cursor: { type: 'string', minLength: 1, description: 'next_cursor from the previous page' }
+});
+
+const pageResponse = {
+    next_cursor: { type: ['string', 'null'] },
+    has_more: { type: 'boolean' }
+};
+
+const facetsRequest = {
+    type: 'boolean',
+    description: 'Also return value counts per filterable field, over a wider candidate set than the page'
+};
+
+const facetCounts = {
+    type: 'object',
+    properties: {
+        candidates: { type: 'integer' },
+        date: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    value: { type: 'string' },
+                    from: isoDate,
+                    to: isoDate,
+                    count: { type: 'integer' }
+                },
+                required: ['value', 'from', 'to', 'count']
+            }
+        }
+    },
+    additionalProperties: {
+        type: 'array',
+        items: {
+            type: 'object',
+            properties: { value: { type: 'string' }, count: { type: 'integer' } },
+            required: ['value', 'count']
+        }
+    },
+    required: ['candidates']
+};
+
+const conversationHistory = {
+    type: 'array',
+    maxItems: 50,
+    items: {
+        type: 'object',
+        properties: {
+            role: { enum: ['user', 'assistant'] },
+            content: { type: 'string', maxLength: 20000 }
+        },
+        required: ['role', 'content']
+    }
+};
+
+const chatRequest = {
+    type: 'object',
+    properties: {
+        message: { type: 'string', minLength: 1, maxLength: 8000, description: 'The question or message' },
+        conversation_history: conversationHistory,
+        filters,
+        collections
+    },
+    required: ['message']
+};
+
+// Document fields; in the query string when the body is the raw document
+const ingestMetadata = {
+    id: { type: 'string', minLength: 1 },
+    filename: { type: 'string' },
+    title: { type: 'string' },
+    date_ended: isoDate,
+    people_involved: stringOrList,
+    tags: stringOrList,
+    source_type: { type: 'string' },
+    decisions_made: stringOrList,
+    action_items: stringOrList,
+    roadblocks_issues: stringOrList,
+    allowed_groups: stringOrList,
+    allowed_users: stringOrList,
+    collection: { type: 'string', minLength: 1 },
+    chunk_size: { type: 'integer', minimum: 100, maximum: 20000 },
+    chunk_overlap: { type: 'integer', minimum: 0 }
+};
+
+const searchResult = {
+    type: 'object',
+    properties: {
+        id: { type: 'string' },
+        title: { type: 'string' },
+        description: { type: 'string' },
+        author: { type: 'string' },
+        date: { type: 'string' },
+        tags: { type: 'array' },
+        sourceType: { type: 'string' },
+        importance: { type: 'string' },
+        collection: { type: 'string' },
+        score: { type: 'number', description: 'Pinecone similarity' },
+        ranking: {
+            type: 'object',
+            description: 'Reranking breakdown: final score and its semantic, recency, importance and reranker parts',
+            properties: {
+                score: { type: 'number' },
+                semantic: { type: 'number' },
+                recency: { type: 'number' },
+                importance: { type: 'number' },
+                importance_level: { type: 'string' },
+                age_days: { type: ['integer', 'null'] },
+                reranker: { type: 'number' }
+            },
+            required: ['score', 'semantic', 'recency', 'importance']
+        }
+    },
+    required: ['id', 'title']
+};
+
+const recentEntry = {
+    ...searchResult,
+    properties: {
+        ...searchResult.properties,
+        id: { type: 'string', description: 'Document id for grouped entries, else the vector id' },
+        date_ended: { type: 'string' },
+        document_id: { type: 'string' },
+        chunks: { type: 'integer', description: 'Chunks grouped into this entry' }
+    },
+    required: ['id', 'title', 'date_ended', 'chunks']
+};
+
+const notionEntry = {
+    type: 'object',
+    properties: {
+        id: { type: 'string' },
+        title: { type: 'string' },
+        database: { type: 'string' },
+        url: { type: ['string', 'null'] }
+    },
+    required: ['id', 'title']
+};
+
+const citation = {
+    type: 'object',
+    properties: {
+        number: { type: 'integer' },
+        id: { type: 'string' },
+        title: { type: 'string' }
+    },
+    required: ['number', 'id']
+};
+
+const errorResponse = {
+    type: 'object',
+    properties: {
+        error: { type: 'string' },
+        message: { type: 'string' },
+        upstream: { type: 'string', description: 'Unavailable upstream service, with a 503' },
+        quota: { type: 'string', description: 'Exhausted daily quota, with a 429' },
+        retry_after: { type: 'integer', description: 'Seconds until the request may be retried, with a 429' },
+        request_id: { type: 'string', description: 'X-Request-Id of the failed request, for support' },
+        fields: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: { field: { type: 'string' }, message: { type: 'string' } },
+                required: ['field', 'message']
+            }
+        }
+    },
+    required: ['error']
+};
+
+const routes = {
+    'GET /health': {
+        summary: 'Server status and enabled features',
+        response: {
+            type: 'object',
+            properties: {
+                status: { const: 'OK' },
+                timestamp: { type: 'string' },
+                version: { type: 'string' },
+                features: { type: 'object' }
+            },
+            required: ['status', 'features']
+        }
+    },
+    'GET /metrics': {
+        summary: 'Prometheus metrics: requests, upstream calls, caches and embedding tokens',
+        description: 'Prometheus text format. Send METRICS_TOKEN as "Authorization: Bearer <token>"; ' +
+            'when it is unset, admin credentials are required instead.',
+        contentType: 'text/plain; version=0.0.4'
+    },
+    'GET /api/schema': {
+        summary: 'Request and response schemas for every route',
+        response: { type: 'object', properties: { routes: { type: 'array' } }, required: ['routes'] }
+    },
+    'GET /openapi.json': {
+        summary: 'OpenAPI 3.1 description of this API',
+        response: { type: 'object', properties: { openapi: { type: 'string' }, paths: { type: 'object' } }, required: ['openapi', 'paths'] }
+    },
+    'GET /typingmind-plugin.json': {
+        summary: 'TypingMind plugin manifest for the search, recent and chat tools',
+        description: 'Published only when PUBLIC_BASE_URL is set; 503 otherwise.',
+        response: { type: 'object', properties: { plugins: { type: 'array' } }, required: ['plugins'] }
+    },
+    'GET /auth/login': {
+        summary: 'Start the OIDC dashboard login',
+        status: 302,
+        query: {
+            type: 'object',
+            properties: { return_to: { type: 'string', description: 'Same-site path to return to' } }
+        }
+    },
+    'GET /auth/callback': {
+        summary: 'OIDC redirect target; sets the session cookie',
+        status: 302,
+        query: {
+            type: 'object',
+            properties: { code: { type: 'string' }, state: { type: 'string' } },
+            required: ['code', 'state']
+        }
+    },
+    'POST /auth/logout': {
+        summary: 'Clear the dashboard session',
+        response: { type: 'object', properties: { status: { const: 'logged_out' } }, required: ['status'] }
+    },
+    'GET /auth/me': {
+        summary: 'The authenticated caller',
+        auth: true,
+        response: {
+            type: 'object',
+            properties: {
+                email: { type: 'string' },
+                method: { type: 'string' },
+                scopes: stringList
+            },
+            required: ['email', 'method', 'scopes']
+        }
+    },
+    'GET /api/recent-notion': {
+        summary: 'Most recently received Notion entries',
+        scope: 'search',
+        query: { type: 'object', properties: { database: notionDatabase, ...page(100) } },
+        response: {
+            type: 'object',
+            properties: { entries: { type: 'array', items: notionEntry }, ...pageResponse },
+            required: ['entries', 'next_cursor', 'has_more']
+        }
+    },
+    'POST /api/search-notion': {
+        summary: 'Search the Notion knowledge database',
+        scope: 'search',
+        body: {
+            type: 'object',
+            properties: {
+                query: { type: 'string', maxLength: 2000 },
+                database: notionDatabase,
+                filters: notionFilters,
+                facets: facetsRequest,
+                sort: {
+                    enum: ['freshness', 'date_received', 'last_edited'],
+                    default: 'freshness',
+                    description: 'Freshness score, date received or last edited, newest first'
+                },
+                ...page(100)
+            }
+        },
+        response: {
+            type: 'object',
+            properties: { results: { type: 'array', items: notionEntry }, facets: facetCounts, ...pageResponse },
+            required: ['results', 'next_cursor', 'has_more']
+        }
+    },
+    'GET /test-namespaces': {
+        summary: 'Probe each Pinecone collection with a test query',
+        scope: 'search',
+        query: { type: 'object', properties: { collections } },
+        response: {
+            type: 'object',
+            properties: { status: { enum: ['success', 'partial'] }, collections: { type: 'array' } },
+            required: ['status', 'collections']
+        }
+    },
+    'GET /api/collections': {
+        summary: 'Pinecone collections available to search',
+        scope: 'search',
+        response: {
+            type: 'object',
+            properties: {
+                collections: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: { name: { type: 'string' }, namespace: { type: 'string' } },
+                        required: ['name', 'namespace']
+                    }
+                },
+                defaults: stringList
+            },
+            required: ['collections', 'defaults']
+        }
+    },
+    'GET /api/recent': {
+        summary: 'Recent knowledge entries from Pinecone',
+        scope: 'search',
+        description: 'Entries ordered by date_ended, newest first. The chunks of one document are grouped into a single entry unless group=false.',
+        plugin: {
+            name: 'flint_recent_knowledge',
+            description: 'List the most recent FLINT OS knowledge entries (meetings, decisions, documents), newest first, from the last few days or since a date.',
+            fields: ['days', 'since', 'limit']
+        },
+        query: {
+            type: 'object',
+            properties: {
+                days: { type: 'number', exclusiveMinimum: 0, maximum: 3650, default: 30, description: 'How many days back to look' },
+                since: { ...isoDate, description: 'Only entries dated on or after this day (YYYY-MM-DD); overrides days' },
+                group: { type: 'boolean', default: true, description: 'One entry per document rather than per chunk' },
+                collections,
+                ...page(100)
+            }
+        },
+        response: {
+            type: 'object',
+            properties: {
+                entries: { type: 'array', items: recentEntry },
+                since: { type: 'string', description: 'First day of the window' },
+                ...pageResponse
+            },
+            required: ['entries', 'since', 'next_cursor', 'has_more']
+        }
+    },
+    'GET /api/facets': {
+        summary: 'Known values of every filterable field, for filter dropdowns',
+        scope: 'search',
+        query: { type: 'object', properties: { collections, database: notionDatabase } },
+        response: {
+            type: 'object',
+            properties: {
+                facets: { type: 'object', additionalProperties: { type: 'array', items: { type: 'string' } } },
+                sources: { type: 'object' }
+            },
+            required: ['facets', 'sources']
+        }
+    },
+    'POST /api/search': {
+        summary: 'Semantic search over the knowledge and transcript collections',
+        scope: 'search',
+        plugin: {
+            name: 'flint_search_knowledge',
+            description: 'Search the FLINT OS knowledge base and meeting transcripts. ' +
+                'Use for questions about past meetings, decisions, projects and people.',
+            fields: ['query', 'filters', 'limit']
+        },
+        body: {
+            type: 'object',
+            properties: { query, filters, collections, facets: facetsRequest, ...page(100) },
+            required: ['query']
+        },
+        response: {
+            type: 'object',
+            properties: {
+                results: { type: 'array', items: searchResult },
+                facets: facetCounts,
+                degraded: {
+                    type: 'object',
+                    description: 'Present when semantic search was unavailable and the results come from Notion keyword search',
+                    properties: {
+                        reason: { type: 'string' },
+                        upstream: { type: 'string' },
+                        fallback: { type: 'string' },
+                        database: { type: 'string' }
+                    }
+                },
+                ...pageResponse
+            },
+            required: ['results', 'next_cursor', 'has_more']
+        }
+    },
+    'POST /api/search/hybrid': {
+        summary: 'Pinecone and Notion search merged by reciprocal-rank fusion',
+        scope: 'search',
+        body: {
+            type: 'object',
+            properties: { query, filters, collections, ...page(100) },
+            required: ['query']
+        },
+        response: {
+            type: 'object',
+            properties: {
+                results: { type: 'array', items: searchResult },
+                backends: { type: 'object' },
+                ...pageResponse
+            },
+            required: ['results', 'backends', 'next_cursor', 'has_more']
+        }
+    },
+    'POST /api/ingest': {
+        summary: 'Chunk, embed and upsert a document',
+        status: 201,
+        description: 'Send JSON, or a raw text/plain, text/markdown or text/vtt body with the metadata as query parameters',
+        scope: 'ingest',
+        query: { type: 'object', properties: ingestMetadata },
+        body: {
+            type: 'object',
+            properties: {
+                text: { type: 'string' },
+                content: { type: 'string' },
+                file: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string' },
+                        content: { type: 'string' },
+                        encoding: { enum: ['utf8', 'base64'] }
+                    },
+                    required: ['content']
+                },
+                ...ingestMetadata
+            },
+            anyOf: [{ required: ['text'] }, { required: ['content'] }, { required: ['file'] }]
+        },
+        response: {
+            type: 'object',
+            properties: {
+                document_id: { type: 'string' },
+                title: { type: 'string' },
+                chunks: { type: 'integer' },
+                upserted: { type: 'integer' },
+                ids: stringList
+            },
+            required: ['document_id', 'chunks', 'upserted']
+        }
+    },
+    'POST /api/sync/notion': {
+        summary: 'Sync the Notion database into Pinecone',
+        scope: 'ingest',
+        body: {
+            type: 'object',
+            properties: { full: { type: 'boolean', description: 'Re-embed every page, not just edited ones' } }
+        },
+        response: { type: 'object', properties: { status: { const: 'success' } }, required: ['status'] }
+    },
+    'POST /api/chat': {
+        summary: 'Knowledge chat with citations (or the Make.com proxy)',
+        scope: 'chat',
+        plugin: {
+            name: 'flint_knowledge_chat',
+            description: 'Ask the FLINT OS knowledge assistant a question; it answers from the knowledge base with numbered citations.',
+            fields: ['message', 'filters']
+        },
+        body: chatRequest,
+        response: {
+            type: 'object',
+            properties: {
+                backend: { type: 'string' },
+                response: { type: 'string' },
+                citations: { type: 'array', items: citation },
+                timestamp: { type: 'string' }
+            },
+            required: ['backend', 'timestamp']
+        }
+    },
+    'GET /api/chat/stream': {
+        summary: 'Chat streamed as Server-Sent Events',
+        description: 'conversation_history and filters are JSON-encoded query parameters. ' +
+            'Events: sources, token, done, error.',
+        scope: 'chat',
+        stream: true,
+        query: chatRequest
+    },
+    'POST /api/chat/stream': {
+        summary: 'Chat streamed as Server-Sent Events',
+        description: 'Events: sources, token, done, error.',
+        scope: 'chat',
+        stream: true,
+        body: chatRequest
+    },
+    'GET /api/admin/health': {
+        summary: 'Redacted configuration and the state of caches, upstreams, sync and telemetry',
+        scope: 'admin',
+        response: {
+            type: 'object',
+            properties: { status: { const: 'OK' }, settings: { type: 'object' } },
+            required: ['status', 'settings']
+        }
+    },
+    'GET /api/admin/usage': {
+        summary: 'Requests, embedding tokens and chat messages per caller for a day, with quota headroom',
+        scope: 'admin',
+        query: {
+            type: 'object',
+            properties: {
+                day: { ...isoDate, description: 'UTC day to report (YYYY-MM-DD); defaults to today' },
+                user: { type: 'string', minLength: 1, description: 'Only this caller: an email, an API key id or a caller key such as "key:<id>"' }
+            }
+        },
+        response: {
+            type: 'object',
+            properties: {
+                day: { type: 'string' },
+                store: { type: 'string' },
+                rate_limits: { type: ['object', 'null'] },
+                quotas: { type: 'object', additionalProperties: { type: ['integer', 'null'] } },
+                users: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            caller: { type: 'string' },
+                            usage: { type: 'object', additionalProperties: { type: 'number' } },
+                            quota_remaining: { type: 'object', additionalProperties: { type: ['integer', 'null'] } }
+                        },
+                        required: ['caller', 'usage', 'quota_remaining']
+                    }
+                }
+            },
+            required: ['day', 'quotas', 'users']
+        }
+    },
+    'GET /api/admin/analytics': {
+        summary: 'Top queries, zero-result queries, filters and cited documents in use, and activity over time',
+        scope: 'admin',
+        query: {
+            type: 'object',
+            properties: {
+                from: { ...isoDate, description: 'First day (YYYY-MM-DD, UTC); defaults to 29 days before "to"' },
+                to: { ...isoDate, description: 'Last day (YYYY-MM-DD, UTC); defaults to today' },
+                kind: { enum: ['search', 'chat', 'ingest', 'sync'], description: 'Only events of this kind' },
+                interval: { enum: ['day', 'hour'], default: 'day', description: 'Bucket size of usage_over_time' },
+                limit: { type: 'integer', minimum: 1, maximum: 100, default: 20, description: 'Entries per top list' }
+            }
+        },
+        response: {
+            type: 'object',
+            properties: {
+                from: { type: 'string' },
+                to: { type: 'string' },
+                interval: { type: 'string' },
+                totals: { type: 'object' },
+                top_queries: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            query: { type: 'string' },
+                            count: { type: 'integer' },
+                            zero_results: { type: 'integer' },
+                            avg_results: { type: 'number' },
+                            kinds: stringList,
+                            last_seen: { type: 'string' }
+                        },
+                        required: ['query', 'count']
+                    }
+                },
+                zero_result_queries: {
+                    type: 'array',
+                    description: 'Searches that found nothing and chat questions answered without citations',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            query: { type: 'string' },
+                            count: { type: 'integer', description: 'Times it came back empty' },
+                            asked: { type: 'integer', description: 'Times it was asked' },
+                            kinds: stringList,
+                            last_seen: { type: 'string' }
+                        },
+                        required: ['query', 'count']
+                    }
+                },
+                filters: { type: 'array', items: { type: 'object', properties: { field: { type: 'string' }, count: { type: 'integer' } } } },
+                cited_documents: {
+                    type: 'array',
+                    items: { type: 'object', properties: { id: { type: 'string' }, title: { type: 'string' }, count: { type: 'integer' } } }
+                },
+                usage_over_time: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            period: { type: 'string' },
+                            events: { type: 'integer' },
+                            zero_results: { type: 'integer' },
+                            users: { type: 'integer' }
+                        },
+                        required: ['period', 'events']
+                    }
+                }
+            },
+            required: ['from', 'to', 'totals', 'top_queries', 'zero_result_queries', 'usage_over_time']
+        }
+    },
+    'POST /search': {
+        summary: 'Legacy transcript search (v1 contract); use POST /api/search',
+        deprecated: true,
+        scope: 'search',
+        // The v1 contract answers a missing query with its own error body
+        body: { type: 'object', properties: { query: { type: 'string', maxLength: 2000 } } },
+        response: {
+            type: 'object',
+            properties: {
+                results: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            id: { type: 'string' },
+                            text: { type: 'string' },
+                            score: { type: 'number' },
+                            metadata: { type: 'object' }
+                        },
+                        required: ['id', 'text', 'score', 'metadata']
+                    }
+                },
+                query: { type: 'string' },
+                total: { type: 'integer' }
+            },
+            required: ['results', 'query', 'total']
+        }
+    }
+};
+
+module.exports = { routes, errorResponse };
@@ -0,0 +1,84 @@
+// Semantic search over one or more Pinecone collections
+
+const { generateEmbedding } = require('./embeddings');
+const { queryVectors } = require('./pinecone');
+const { formatDate, deriveImportance, epochDay } = require('./format');
+const { rerankMatches } = require('./rerank');
+const { getConfig } = require('./config');
+
+// Build Pinecone filter from UI filters
+function buildPineconeFilter(filters = {}) {
+    const pineconeFilter = {};
+    
+    if (filters.source_type?.length) {
+        pineconeFilter.source_type = { $in: filters.source_type };
+    }
+    
+    if (filters.tags?.length) {
+        if (filters.tags_mode === 'all') {
+            pineconeFilter.$and = filters.tags.map(tag => ({ tags: { $in: [tag] } }));
+        } else {
+            pineconeFilter.tags = { $in: filters.tags };
+        }
+    }
+    
+    // Either end of the range may be left open. Range operators only compare numbers, so this
+    // matches on date_ended_day; records ingested before it existed need re-ingesting.
+    if (filters.date_range?.from || filters.date_range?.to) {
+        pineconeFilter.date_ended_day = {
+            ...(filters.date_range.from && { $gte: epochDay(filters.date_range.from) }),
+            ...(filters.date_range.to && { $lte: epochDay(filters.date_range.to) })
+        };
+    }
+    
+    if (filters.people_involved?.length) {
+        pineconeFilter.people_involved = { $in: filters.people_involved };
+    }
+
+    return pineconeFilter;
+}
+
+// Map a Pinecone match to the /api/search result shape
+function mapMatchToResult(match) {
+    return {
+        id: match.id,
+        title: match.metadata?.title || match.metadata?.label || "Untitled",
+        // Transcript vectors keep their content in "text" rather than "chunk_text"
+        description: (match.metadata?.chunk_text || match.metadata?.text)?.substring(0, 300) + "..." || "No description",
+        author: match.metadata?.people_involved?.[0] || "Unknown",
+        date: formatDate(match.metadata?.date_ended),
+        tags: match.metadata?.tags || [],
+        sourceType: match.metadata?.source_type || match.sourceType || "Document",
+        importance: deriveImportance(match.metadata || {}),
+        summary: match.metadata?.discussion,
+        collection: match.collection,
+        score: match.score,
+        ...(match.ranking && { ranking: match.ranking })
+    };
+}
+
+// Embed the query and return the raw matches for it, reranked (lib/rerank.js) when asked.
+// Reranking draws from at least RERANK_POOL matches so the top results don't depend on topK.
+// An aborted `signal` stops the search between steps; the embedding may be shared with
+// other callers, so it is never cancelled.
+async function searchPinecone(query, filters = {}, { topK = 50, access, collections, rerank = false, signal } = {}) {
+    const queryEmbedding = await generateEmbedding(query);
+    const { enabled, pool } = getConfig().rerank;
+    const reranking = rerank && enabled;
+
+    signal?.throwIfAborted();
+    const matches = await queryVectors({
+        vector: queryEmbedding,
+        topK: reranking ? Math.max(topK, pool) : topK,
+        filter: buildPineconeFilter(filters),
+        access,
+        collections
+    });
+
+    if (!reranking) return matches;
+
+    signal?.throwIfAborted();
+    return (await rerankMatches(query, matches, { signal })).slice(0, topK);
+}
+
+module.exports = { buildPineconeFilter, mapMatchToResult, searchPinecone };
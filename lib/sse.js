@@ -0,0 +1,51 @@
+// Server-Sent Events helper for streaming responses
+
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+// Switch the response into an event stream; heartbeats keep proxies from closing idle connections
+function openEventStream(res, { heartbeatMs = HEARTBEAT_INTERVAL_MS } = {}) {
+    const controller = new AbortController();
+    let closed = false;
+
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        // Stop nginx-style proxies from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const heartbeat = setInterval(() => {
+        if (!closed) res.write(': heartbeat\n\n');
+    }, heartbeatMs);
+
+    function cleanup() {
+        if (closed) return;
+        closed = true;
+        clearInterval(heartbeat);
+    }
+
+    // The client went away: stop upstream work through the abort signal
+    res.on('close', () => {
+        if (!res.writableEnded) controller.abort();
+        cleanup();
+    });
+
+    return {
+        signal: controller.signal,
+        get closed() {
+            return closed;
+        },
+        send(event, data) {
+            if (closed) return;
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        },
+        end() {
+            cleanup();
+            if (!res.writableEnded) res.end();
+        }
+    };
+}
+
+module.exports = { openEventStream };
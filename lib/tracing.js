@@ -0,0 +1,244 @@
+// Request ids and OpenTelemetry tracing
+//
+// traceRequests (middleware) gives every request an id (X-Request-Id, taken from the
+// client when it sends a sane one) and a server span that continues an incoming W3C
+// traceparent. withSpan() opens child spans; lib/resilience.js wraps every upstream call
+// in one, so a request's embedding, Pinecone, Notion and chat calls hang off its span.
+//
+// Finished spans of sampled traces are batched to an OTLP/HTTP collector
+// (OTEL_EXPORTER_OTLP_ENDPOINT or OTEL_EXPORTER_OTLP_TRACES_ENDPOINT, JSON encoding).
+// Without one, ids still propagate to the logs but nothing is exported.
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { log } = require('./log');
+const { requestContext, currentContext } = require('./requestContext');
+const { routeLabel } = require('./metrics');
+const { getConfig } = require('./config');
+
+// OTLP span kinds and status codes
+const SPAN_KIND = { internal: 1, server: 2, client: 3 };
+const STATUS_OK = 1;
+const STATUS_ERROR = 2;
+
+const TRACEPARENT_PATTERN = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const EXPORT_BATCH_SIZE = 256;
+const EXPORT_INTERVAL_MS = 5000;
+// Spans kept while the collector is unreachable; the oldest go first
+const MAX_QUEUED_SPANS = 4096;
+
+const queue = [];
+const stats = { exported: 0, dropped: 0, export_errors: 0 };
+let flushTimer = null;
+let exporting = false;
+
+function randomHex(bytes) {
+    return crypto.randomBytes(bytes).toString('hex');
+}
+
+function nowNanos() {
+    return BigInt(Date.now()) * 1000000n;
+}
+
+// OTLP/JSON attribute list; undefined values are left out
+function toAttributes(attributes) {
+    return Object.entries(attributes)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => {
+            if (typeof value === 'boolean') return { key, value: { boolValue: value } };
+            if (Number.isInteger(value)) return { key, value: { intValue: String(value) } };
+            if (typeof value === 'number') return { key, value: { doubleValue: value } };
+            return { key, value: { stringValue: String(value) } };
+        });
+}
+
+// Export -----------------------------------------------------------------------
+
+function exportEnabled() {
+    return !!getConfig().telemetry.tracesEndpoint;
+}
+
+// A full batch goes at once, anything less after EXPORT_INTERVAL_MS
+function scheduleFlush() {
+    if (queue.length >= EXPORT_BATCH_SIZE) {
+        flushSpans();
+    } else if (queue.length && !flushTimer) {
+        flushTimer = setTimeout(flushSpans, EXPORT_INTERVAL_MS);
+        flushTimer.unref();
+    }
+}
+
+function enqueue(span) {
+    queue.push(span);
+    if (queue.length > MAX_QUEUED_SPANS) {
+        stats.dropped += queue.length - MAX_QUEUED_SPANS;
+        queue.splice(0, queue.length - MAX_QUEUED_SPANS);
+    }
+    scheduleFlush();
+}
+
+// Post queued spans to the collector. Deliberately not through callUpstream: exporting
+// must not produce spans of its own or trip breakers the API depends on.
+async function flushSpans() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    if (exporting || queue.length === 0) return;
+
+    const { telemetry } = getConfig();
+    if (!telemetry.tracesEndpoint) return;
+
+    const batch = queue.splice(0, EXPORT_BATCH_SIZE);
+    exporting = true;
+
+    try {
+        await axios.post(telemetry.tracesEndpoint, {
+            resourceSpans: [{
+                resource: { attributes: toAttributes({ 'service.name': telemetry.serviceName }) },
+                scopeSpans: [{ scope: { name: 'flint-os-api' }, spans: batch }]
+            }]
+        }, {
+            headers: { ...telemetry.otlpHeaders, 'Content-Type': 'application/json' },
+            timeout: 10000
+        });
+        stats.exported += batch.length;
+    } catch (error) {
+        stats.export_errors++;
+        stats.dropped += batch.length;
+        log('warn', 'Trace export failed', { spans: batch.length, error: error.message, status: error.response?.status });
+    } finally {
+        exporting = false;
+    }
+
+    scheduleFlush();
+}
+
+// Spans ------------------------------------------------------------------------
+
+// A span under the active one (or a new trace). end() records it; a span of an
+// unsampled trace costs nothing beyond its ids.
+function startSpan(name, { kind = 'internal', attributes = {}, parent = currentContext()?.trace } = {}) {
+    const traceId = parent?.traceId || randomHex(16);
+    const sampled = parent ? parent.sampled : Math.random() < getConfig().telemetry.sampleRatio;
+    const span = {
+        traceId,
+        spanId: randomHex(8),
+        parentSpanId: parent?.spanId,
+        sampled,
+        name,
+        kind,
+        attributes: { ...attributes },
+        events: [],
+        start: nowNanos(),
+        ended: false
+    };
+
+    return {
+        context: { traceId, spanId: span.spanId, sampled },
+        setName(value) {
+            span.name = value;
+        },
+        setAttributes(values) {
+            Object.assign(span.attributes, values);
+        },
+        addEvent(eventName, values = {}) {
+            span.events.push({ timeUnixNano: String(nowNanos()), name: eventName, attributes: toAttributes(values) });
+        },
+        end(error = null) {
+            if (span.ended) return;
+            span.ended = true;
+            if (!span.sampled || !exportEnabled()) return;
+
+            enqueue({
+                traceId: span.traceId,
+                spanId: span.spanId,
+                ...(span.parentSpanId && { parentSpanId: span.parentSpanId }),
+                name: span.name,
+                kind: SPAN_KIND[span.kind],
+                startTimeUnixNano: String(span.start),
+                endTimeUnixNano: String(nowNanos()),
+                attributes: toAttributes(span.attributes),
+                events: span.events,
+                status: error ? { code: STATUS_ERROR, message: error.message } : { code: STATUS_OK }
+            });
+        }
+    };
+}
+
+// Run fn(span) inside a child span of the active one, ending it when fn settles
+async function withSpan(name, options, fn) {
+    const span = startSpan(name, options);
+    const context = { ...(currentContext() || {}), trace: span.context };
+
+    return requestContext.run(context, async () => {
+        try {
+            const result = await fn(span);
+            span.end();
+            return result;
+        } catch (error) {
+            span.end(error);
+            throw error;
+        }
+    });
+}
+
+// Middleware -------------------------------------------------------------------
+
+function parseTraceparent(header) {
+    const match = TRACEPARENT_PATTERN.exec(String(header || '').trim().toLowerCase());
+    if (!match || /^0+$/.test(match[1]) || /^0+$/.test(match[2])) return null;
+
+    return { traceId: match[1], spanId: match[2], sampled: (parseInt(match[3], 16) & 1) === 1 };
+}
+
+// First in the chain: request id, server span and the context every later step runs in
+function traceRequests(req, res, next) {
+    const incoming = req.get('X-Request-Id');
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    const span = startSpan(req.method, {
+        kind: 'server',
+        parent: parseTraceparent(req.get('traceparent')),
+        attributes: {
+            'http.request.method': req.method,
+            'url.path': req.path,
+            'request.id': requestId
+        }
+    });
+
+    req.requestId = requestId;
+    res.set('X-Request-Id', requestId);
+
+    let ended = false;
+    const end = () => {
+        if (ended) return;
+        ended = true;
+
+        const route = routeLabel(req);
+        span.setName(`${req.method} ${route}`);
+        span.setAttributes({
+            'http.route': route,
+            'http.response.status_code': res.statusCode,
+            ...(req.auth && { 'auth.method': req.auth.method })
+        });
+        span.end(res.statusCode >= 500 ? new Error(`HTTP ${res.statusCode}`) : null);
+    };
+    res.on('finish', end);
+    res.on('close', end);
+
+    requestContext.run({ requestId, trace: span.context }, next);
+}
+
+// /api/admin/health
+function getTracingStatus() {
+    const { telemetry } = getConfig();
+    return {
+        exporting: exportEnabled(),
+        endpoint: telemetry.tracesEndpoint,
+        sample_ratio: telemetry.sampleRatio,
+        queued: queue.length,
+        ...stats
+    };
+}
+
+module.exports = { startSpan, withSpan, traceRequests, flushSpans, getTracingStatus };
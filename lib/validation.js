@@ -0,0 +1,128 @@
+// Request validation against the schemas in lib/schemas.js
+//
+// validate('POST /api/search') checks req.query and req.body before the handler runs and
+// answers 400 listing every offending field. Responses are checked as well, but only
+// logged: a drifting schema must never break a client.
+
+const Ajv = require('ajv');
+const { log } = require('./log');
+const { routes, errorResponse } = require('./schemas');
+
+// Bodies are typed JSON; query strings arrive as strings and are coerced to the schema's types
+const bodyAjv = new Ajv({ allErrors: true, strict: false });
+const queryAjv = new Ajv({ allErrors: true, strict: false, coerceTypes: true, useDefaults: true });
+
+// YYYY-MM-DD naming a real day; Date.parse rolls 2024-02-30 over to March, so compare back
+function isCalendarDate(value) {
+    const time = Date.parse(`${value}T00:00:00Z`);
+    return !Number.isNaN(time) && new Date(time).toISOString().slice(0, 10) === value;
+}
+
+[bodyAjv, queryAjv].forEach(ajv => ajv.addFormat('date', isCalendarDate));
+
+const validateErrorResponse = bodyAjv.compile(errorResponse);
+
+// Collapse anyOf branches into one readable message instead of one error per branch
+function anyOfMessage(error, branches) {
+    if (branches.length > 0 && branches.every(branch => branch.keyword === 'type')) {
+        return `must be ${[...new Set(branches.map(branch => branch.params.type))].join(' or ')}`;
+    }
+    if (branches.length > 0 && branches.every(branch => branch.keyword === 'required')) {
+        return `must include one of ${branches.map(branch => branch.params.missingProperty).join(', ')}`;
+    }
+    return error.message;
+}
+
+function fieldErrors(location, errors = []) {
+    const anyOfErrors = errors.filter(error => error.keyword === 'anyOf');
+    const isBranch = error => anyOfErrors.some(anyOf => error !== anyOf && error.schemaPath.startsWith(`${anyOf.schemaPath}/`));
+
+    return errors
+        .filter(error => !isBranch(error))
+        .map(error => {
+            const path = error.instancePath.split('/').filter(Boolean);
+            if (error.keyword === 'required') path.push(error.params.missingProperty);
+            if (error.keyword === 'additionalProperties') path.push(error.params.additionalProperty);
+
+            let message = error.message;
+            if (error.keyword === 'anyOf') {
+                message = anyOfMessage(error, errors.filter(branch => branch !== error && branch.schemaPath.startsWith(`${error.schemaPath}/`)));
+            } else if (error.keyword === 'enum') {
+                message = `must be one of ${error.params.allowedValues.join(', ')}`;
+            } else if (error.keyword === 'additionalProperties') {
+                message = 'is not a supported field';
+            } else if (error.keyword === 'format' && error.params.format === 'date') {
+                message = 'must be a calendar date, YYYY-MM-DD';
+            }
+
+            return { field: [location, ...path].join('.'), message };
+        });
+}
+
+// Log responses that don't match the route's schema (or the shared error schema)
+function checkResponses(routeKey, res, validateResponse) {
+    const json = res.json.bind(res);
+
+    res.json = (body) => {
+        const validator = res.statusCode < 400 ? validateResponse : validateErrorResponse;
+
+        if (validator && !validator(body)) {
+            log('warn', 'Response does not match its schema', {
+                route: routeKey,
+                status: res.statusCode,
+                fields: fieldErrors('response', validator.errors)
+            });
+        }
+
+        return json(body);
+    };
+}
+
+function validate(routeKey) {
+    const route = routes[routeKey];
+    if (!route) {
+        throw new Error(`No schema defined for ${routeKey}`);
+    }
+
+    const validateQuery = route.query && queryAjv.compile(route.query);
+    const validateBody = route.body && bodyAjv.compile(route.body);
+    const validateResponse = route.response && bodyAjv.compile(route.response);
+
+    return (req, res, next) => {
+        const fields = [];
+
+        if (validateQuery && !validateQuery(req.query)) {
+            fields.push(...fieldErrors('query', validateQuery.errors));
+        }
+
+        // Raw text bodies (document ingestion) carry their metadata in the query string
+        if (validateBody && typeof req.body !== 'string' && !validateBody(req.body || {})) {
+            fields.push(...fieldErrors('body', validateBody.errors));
+        }
+
+        if (fields.length > 0) {
+            log('warn', 'Request validation failed', { route: routeKey, fields });
+            return res.status(400).json({
+                error: 'Invalid request',
+                message: fields.map(({ field, message }) => `${field} ${message}`).join('; '),
+                fields
+            });
+        }
+
+        checkResponses(routeKey, res, validateResponse);
+        next();
+    };
+}
+
+// Machine-readable description of every route, built from the same schemas
+function describeApi() {
+    return {
+        routes: Object.entries(routes).map(([key, route]) => {
+            const [method, path] = key.split(' ');
+            return { method, path, ...route };
+        }),
+        errorResponse
+    };
+}
+
+module.exports = { validate, describeApi };
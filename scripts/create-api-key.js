@@ -0,0 +1,36 @@
+// Generate an integration API key and the hashed entry for AUTH_API_KEYS_FILE
+//
+// Usage: npm run create-api-key -- <name> <scope,scope> [owner-email]
+// The key is printed once; only its hash goes into the keys file.
+
+const crypto = require('crypto');
+const { SCOPES, hashApiKey } = require('../lib/auth');
+
+const [name, scopeList = 'search', email] = process.argv.slice(2);
+
+if (!name) {
+    console.error('Usage: npm run create-api-key -- <name> <scope,scope> [owner-email]');
+    process.exit(1);
+}
+
+const scopes = scopeList.split(',').map(scope => scope.trim()).filter(Boolean);
+const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+
+if (unknown.length) {
+    console.error(`Unknown scopes: ${unknown.join(', ')} (expected ${SCOPES.join(', ')})`);
+    process.exit(1);
+}
+
+const key = `flint_${crypto.randomBytes(24).toString('base64url')}`;
+const entry = {
+    id: crypto.randomBytes(6).toString('hex'),
+    name,
+    hash: hashApiKey(key),
+    scopes,
+    ...(email && { email }),
+    created_at: new Date().toISOString()
+};
+
+console.log(`API key (store it now, it is not saved anywhere): ${key}`);
+console.log('Add this entry to the AUTH_API_KEYS_FILE array:');
+console.log(JSON.stringify(entry, null, 2));
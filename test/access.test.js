@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+require('./env');
+
+// Part of the configuration, so set before anything reads it
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'flint-acl-'));
+const groupsFile = path.join(dir, 'groups.json');
+fs.writeFileSync(groupsFile, JSON.stringify({
+    leadership: ['Alice@flintbuilders.com'],
+    hr: ['*@HR.flintbuilders.com']
+}));
+process.env.ACL_GROUPS_FILE = groupsFile;
+process.env.NOTION_ACL_PROPERTY = 'Access';
+
+const { getAccessContext, canReadRecord, withNotionAccessFilter, withPineconeAccessFilter } = require('../lib/access');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const alice = getAccessContext({ method: 'jwt', email: 'alice@flintbuilders.com' });
+
+test('groups come from the groups file, matched case-insensitively', () => {
+    assert.deepEqual(alice.groups, ['everyone', 'leadership']);
+    assert.deepEqual(getAccessContext({ method: 'session', email: 'Bob@hr.flintbuilders.com' }).principals,
+        ['group:everyone', 'group:hr', 'user:bob@hr.flintbuilders.com']);
+});
+
+test('legacy-header callers get only "everyone"', () => {
+    assert.deepEqual(getAccessContext({ method: 'legacy_header', email: 'alice@flintbuilders.com' }), {
+        email: '',
+        groups: ['everyone'],
+        principals: ['group:everyone']
+    });
+});
+
+test('records without an acl are readable by everyone', () => {
+    assert.equal(canReadRecord(alice, {}), true);
+    assert.equal(canReadRecord(alice, { acl: null }), true);
+});
+
+test('records with an acl need one of its principals', () => {
+    assert.equal(canReadRecord(alice, { acl: ['group:leadership'] }), true);
+    assert.equal(canReadRecord(alice, { acl: 'user:alice@flintbuilders.com' }), true);
+    assert.equal(canReadRecord(alice, { acl: ['group:hr'] }), false);
+    assert.equal(canReadRecord(alice, { acl: [] }), false);
+});
+
+test('reading without an access context throws', () => {
+    assert.throws(() => canReadRecord(undefined, {}));
+    assert.throws(() => withNotionAccessFilter(undefined));
+    assert.throws(() => withPineconeAccessFilter(undefined));
+});
+
+test('the Notion filter admits unrestricted pages and the caller\'s principals', () => {
+    assert.deepEqual(withNotionAccessFilter(alice), {
+        or: [
+            { property: 'Access', multi_select: { is_empty: true } },
+            { property: 'Access', multi_select: { contains: 'everyone' } },
+            { property: 'Access', multi_select: { contains: 'leadership' } },
+            { property: 'Access', multi_select: { contains: 'alice@flintbuilders.com' } }
+        ]
+    });
+});
+
+test('the Notion filter merges into the caller\'s "and" to stay two levels deep', () => {
+    const tag = { property: 'Tags', multi_select: { contains: 'roof' } };
+    const phase = { property: 'Phase', select: { equals: 'Design' } };
+    const filter = withNotionAccessFilter(alice, { and: [tag, phase] });
+
+    assert.equal(filter.and.length, 3);
+    assert.deepEqual(filter.and.slice(1), [tag, phase]);
+    assert.deepEqual(withNotionAccessFilter(alice, tag).and[1], tag);
+});
+
+test('the Pinecone filter is AND-ed with the caller\'s filter', () => {
+    const filter = withPineconeAccessFilter(alice, { tags: { $in: ['roof'] } });
+
+    assert.deepEqual(filter.$and[1], { tags: { $in: ['roof'] } });
+    assert.deepEqual(filter.$and[0].$or[1], { acl: { $in: alice.principals } });
+    assert.deepEqual(withPineconeAccessFilter(alice, {}), filter.$and[0]);
+});
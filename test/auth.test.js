@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+require('./env');
+process.env.AUTH_DEFAULT_USER_SCOPES = 'search,chat';
+
+const { scopesFromClaims } = require('../lib/auth');
+
+test('a space-separated scope claim grants the known scopes in it', () => {
+    assert.deepEqual(scopesFromClaims({ scope: 'search ingest unknown' }), ['search', 'ingest']);
+});
+
+test('a scp list is read when there is no scope claim', () => {
+    assert.deepEqual(scopesFromClaims({ scp: ['chat', 'admin'] }), ['chat', 'admin']);
+});
+
+test('an empty claim grants no scopes', () => {
+    assert.deepEqual(scopesFromClaims({ scope: '' }), []);
+    assert.deepEqual(scopesFromClaims({ scp: [] }), []);
+});
+
+test('only a token without a scope claim gets the default scopes', () => {
+    assert.deepEqual(scopesFromClaims({}), ['search', 'chat']);
+    assert.deepEqual(scopesFromClaims({ scp: 'search' }), ['search', 'chat']);
+});
@@ -0,0 +1,11 @@
+// Minimal valid configuration for tests; lib/config.js reads it once, on first use,
+// so test files require this before anything in lib/
+Object.assign(process.env, {
+    FLINT_OS_PINECONE_API_KEY: 'test',
+    FLINT_OS_PINECONE_INDEX_HOST: 'test.invalid',
+    EMBEDDING_PROVIDER: 'local',
+    CHAT_BACKEND: 'rag',
+    CHAT_BASE_URL: 'http://chat.invalid/v1',
+    AUTH_JWT_SECRET: 'test-secret-that-is-at-least-32-bytes',
+    AUTH_JWT_ALGORITHM: 'HS256'
+});
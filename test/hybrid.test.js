@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { reciprocalRankFusion } = require('../lib/hybrid');
+
+const hit = (key, score, extra = {}) => ({ key, score, result: { id: key, title: key, ...extra } });
+
+test('a source found by both backends outranks one found by either', () => {
+    const fused = reciprocalRankFusion({
+        pinecone: [hit('a', 0.9), hit('b', 0.8)],
+        notion: [hit('c', 1), hit('b', 0.5)]
+    }, { k: 60 });
+
+    assert.deepEqual(fused.map(result => result.id), ['b', 'a', 'c']);
+    assert.equal(fused[0].score, 1 / 62 + 1 / 62);
+    assert.deepEqual(fused[0].backends, ['pinecone', 'notion']);
+    assert.deepEqual(fused[0].ranks, { pinecone: 2, notion: 2 });
+    assert.deepEqual(fused[0].backendScores, { pinecone: 0.8, notion: 0.5 });
+});
+
+test('only the best-ranked hit of a source counts within a backend', () => {
+    const fused = reciprocalRankFusion({
+        pinecone: [hit('a', 0.9), hit('a', 0.7), hit('b', 0.6)]
+    }, { k: 60 });
+
+    assert.equal(fused.length, 2);
+    assert.equal(fused[0].score, 1 / 61);
+    assert.deepEqual(fused[1].ranks, { pinecone: 2 });
+});
+
+test('Notion fields win when both backends found the page', () => {
+    const fused = reciprocalRankFusion({
+        pinecone: [hit('a', 0.9, { title: 'Chunk title', collection: 'knowledge' })],
+        notion: [hit('a', 1, { title: 'Page title' })]
+    });
+
+    assert.equal(fused[0].title, 'Page title');
+    assert.equal(fused[0].collection, 'knowledge');
+});
+
+test('no lists fuse to nothing', () => {
+    assert.deepEqual(reciprocalRankFusion({ pinecone: [], notion: [] }), []);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildNotionSearchFilter } = require('../lib/notion');
+const { resolveMapping } = require('../lib/notionSchema');
+
+function database(overrides) {
+    return { name: 'test', mapping: resolveMapping(overrides, 'test') };
+}
+
+test('a phrase is matched against every mapped text field', () => {
+    assert.deepEqual(buildNotionSearchFilter('roof'), {
+        or: [
+            { property: 'Title', title: { contains: 'roof' } },
+            { property: 'What Was Discussed', rich_text: { contains: 'roof' } },
+            { property: 'Decision Made', rich_text: { contains: 'roof' } },
+            { property: 'Action Items/Next Steps', rich_text: { contains: 'roof' } },
+            { property: 'Open Questions', rich_text: { contains: 'roof' } }
+        ]
+    });
+});
+
+test('keywords share the text condition cap, searching the first fields', () => {
+    const filter = buildNotionSearchFilter(['roof', 'permit', 'budget', 'crane', 'steel']);
+
+    assert.equal(filter.or.length, 10);
+    assert.deepEqual(new Set(filter.or.map(condition => condition.property)), new Set(['Title', 'What Was Discussed']));
+    assert.equal(buildNotionSearchFilter('abcdefghijkl'.split('')).or.length, 10);
+});
+
+test('filters are AND-ed and their values OR-ed', () => {
+    const filter = buildNotionSearchFilter(undefined, {
+        source_type: ['Meeting', 'Email'],
+        tags: ['roof'],
+        date_range: { from: '2024-01-01' }
+    });
+
+    assert.deepEqual(filter, {
+        and: [
+            {
+                or: [
+                    { property: 'Source Type', select: { equals: 'Meeting' } },
+                    { property: 'Source Type', select: { equals: 'Email' } }
+                ]
+            },
+            { property: 'Tags', multi_select: { contains: 'roof' } },
+            { property: 'Date Received', date: { on_or_after: '2024-01-01' } }
+        ]
+    });
+});
+
+test('tags_mode "all" requires every tag', () => {
+    const filter = buildNotionSearchFilter(undefined, { tags: ['roof', 'permit'], tags_mode: 'all' });
+
+    assert.deepEqual(filter, {
+        and: [
+            { property: 'Tags', multi_select: { contains: 'roof' } },
+            { property: 'Tags', multi_select: { contains: 'permit' } }
+        ]
+    });
+});
+
+test('no query and no filters means no filter', () => {
+    assert.equal(buildNotionSearchFilter('', {}), undefined);
+});
+
+test('a query on a database without text fields is a 400', () => {
+    const textless = Object.fromEntries(['title', 'summary', 'decisions', 'actionItems', 'openQuestions'].map(field => [field, null]));
+
+    assert.throws(() => buildNotionSearchFilter('roof', {}, database(textless)), { statusCode: 400 });
+});
+
+test('filtering on an unmapped field is a 400', () => {
+    assert.throws(() => buildNotionSearchFilter(undefined, { phase: ['Design'] }, database({ phase: null })), { statusCode: 400 });
+});
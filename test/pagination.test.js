@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    parseOffsetPage,
+    offsetPage,
+    parseNotionPage,
+    notionPage,
+    parseKeysetPage,
+    keysetPage
+} = require('../lib/pagination');
+
+const cursorFor = state => Buffer.from(JSON.stringify(state)).toString('base64url');
+
+test('offset pages walk a ranked list to its end', () => {
+    const items = [1, 2, 3, 4, 5];
+
+    const first = parseOffsetPage({ limit: 2 });
+    assert.deepEqual(first, { limit: 2, offset: 0, fetchCount: 3 });
+
+    const page1 = offsetPage(items, first);
+    assert.deepEqual(page1.items, [1, 2]);
+    assert.equal(page1.has_more, true);
+
+    const page2 = offsetPage(items, parseOffsetPage({ limit: '2', cursor: page1.next_cursor }));
+    assert.deepEqual(page2.items, [3, 4]);
+
+    const page3 = offsetPage(items, parseOffsetPage({ limit: 2, cursor: page2.next_cursor }));
+    assert.deepEqual(page3, { items: [5], next_cursor: null, has_more: false });
+});
+
+test('an offset cursor past the reachable results is a 400', () => {
+    assert.throws(() => parseOffsetPage({ cursor: cursorFor({ kind: 'offset', offset: 1001 }) }), { statusCode: 400 });
+    assert.throws(() => parseOffsetPage({ cursor: cursorFor({ kind: 'offset', offset: -1 }) }), { statusCode: 400 });
+});
+
+test('limits outside the endpoint\'s range are a 400', () => {
+    assert.throws(() => parseOffsetPage({ limit: 0 }), { statusCode: 400 });
+    assert.throws(() => parseOffsetPage({ limit: 101 }), { statusCode: 400 });
+    assert.throws(() => parseOffsetPage({ limit: 2.5 }), { statusCode: 400 });
+    assert.equal(parseNotionPage({ limit: 100 }, { maxLimit: 500 }).limit, 100);
+    assert.throws(() => parseNotionPage({ limit: 101 }, { maxLimit: 500 }), { statusCode: 400 });
+});
+
+test('cursors are only accepted by the endpoint kind that issued them', () => {
+    const notionCursor = notionPage([], { nextCursor: 'abc', hasMore: true }).next_cursor;
+
+    assert.equal(parseNotionPage({ cursor: notionCursor }).startCursor, 'abc');
+    assert.throws(() => parseOffsetPage({ cursor: notionCursor }), { statusCode: 400 });
+    assert.throws(() => parseKeysetPage({ cursor: notionCursor }), { statusCode: 400 });
+    assert.throws(() => parseOffsetPage({ cursor: 'not a cursor' }), { statusCode: 400 });
+});
+
+test('a Notion page without a next cursor is the last', () => {
+    assert.deepEqual(notionPage(['a'], { nextCursor: null, hasMore: true }), { items: ['a'], next_cursor: null, has_more: false });
+});
+
+test('keyset pages resume after the last item, newest first', () => {
+    const items = [
+        { id: 'b', date: '2024-03-01' },
+        { id: 'c', date: '2024-03-01' },
+        { id: 'a', date: '2024-02-01' }
+    ];
+    const positionOf = item => ({ date: item.date, key: item.id });
+
+    const page1 = keysetPage(items, parseKeysetPage({ limit: 2 }), positionOf);
+    assert.deepEqual(page1.items.map(item => item.id), ['b', 'c']);
+
+    // An item added before the cursor doesn't shift the next page
+    const grown = [{ id: 'z', date: '2024-04-01' }, ...items];
+    const page2 = keysetPage(grown, parseKeysetPage({ limit: 2, cursor: page1.next_cursor }), positionOf);
+    assert.deepEqual(page2, { items: [items[2]], next_cursor: null, has_more: false });
+});
+
+test('a keyset cursor without a date and key is a 400', () => {
+    assert.throws(() => parseKeysetPage({ cursor: cursorFor({ kind: 'keyset', date: 1 }) }), { statusCode: 400 });
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scoreMatches } = require('../lib/rerank');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2024-06-30T00:00:00Z');
+
+const settings = {
+    weights: { semantic: 1, recency: 0.5, importance: 0.2 },
+    recencyHalfLifeDays: 30
+};
+
+test('the score is the weighted sum of semantic, recency and importance', () => {
+    const [match] = scoreMatches([{ id: 'a', score: 0.8, metadata: { date_ended: '2024-05-31' } }], settings, NOW);
+
+    assert.deepEqual(match.ranking, {
+        score: 0.8 + 0.5 * 0.5 + 0.2 * 0.25,
+        semantic: 0.8,
+        recency: 0.5,
+        importance: 0.25,
+        importance_level: 'low',
+        age_days: 30
+    });
+});
+
+test('recent and important matches can overtake closer semantic ones', () => {
+    const ranked = scoreMatches([
+        { id: 'old', score: 0.8, metadata: { date_ended: '2020-01-01' } },
+        { id: 'fresh', score: 0.7, metadata: { date_ended: new Date(NOW - DAY_MS).toISOString(), decisions_made: ['Go'] } }
+    ], settings, NOW);
+
+    assert.deepEqual(ranked.map(match => match.id), ['fresh', 'old']);
+    assert.equal(ranked[0].ranking.importance_level, 'high');
+});
+
+test('an undated match gets no recency and no age', () => {
+    const [match] = scoreMatches([{ id: 'a', score: 0.5, metadata: { date_ended: 'someday' } }], settings, NOW);
+
+    assert.equal(match.ranking.recency, 0);
+    assert.equal(match.ranking.age_days, null);
+});
+
+test('future dates count as today', () => {
+    const [match] = scoreMatches([{ id: 'a', score: 0, metadata: { date_ended: '2025-01-01' } }], settings, NOW);
+
+    assert.equal(match.ranking.recency, 1);
+    assert.equal(match.ranking.age_days, 0);
+});